@@ -6,6 +6,7 @@ import URLShortener from '@/pages/URLShortener';
 import Statistics from '@/pages/Statistics';
 import RedirectHandler from '@/pages/RedirectHandler';
 import { Toaster } from '@/components/ui/toaster';
+import { ROUTES } from '@/services/routes';
 import logger from '@/middleware/logger';
 
 function App() {
@@ -25,8 +26,8 @@ function App() {
             <>
               <Navigation />
               <Routes>
-                <Route path="/" element={<URLShortener />} />
-                <Route path="/statistics" element={<Statistics />} />
+                <Route path={ROUTES.home} element={<URLShortener />} />
+                <Route path={ROUTES.statistics} element={<Statistics />} />
               </Routes>
             </>
           } />
@@ -0,0 +1,275 @@
+import React, { useRef, useState } from 'react';
+import { CheckCircle2, Download, FileUp, Upload, XCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from '@/components/ui/use-toast';
+import { parseDelimited, toCSV } from '@/lib/csv';
+import { downloadFile } from '@/lib/download';
+import urlService from '@/services/urlService';
+import logger from '@/middleware/logger';
+
+const MAX_ROWS = 5000;
+
+const COLUMN_ALIASES = {
+  originalURL: ['url', 'originalurl', 'original url', 'destination', 'long url', 'link'],
+  customShortCode: ['code', 'shortcode', 'short code', 'customshortcode', 'custom code', 'custom shortcode', 'alias'],
+  validityMinutes: ['validity', 'validityminutes', 'validity (minutes)', 'minutes'],
+  tags: ['tags', 'tag'],
+  campaign: ['campaign', 'folder']
+};
+
+const DEFAULT_COLUMNS = ['originalURL', 'customShortCode', 'validityMinutes', 'tags'];
+
+// Maps header cells to entry fields. Files without a recognisable header row
+// are read positionally: URL, custom code, validity, tags.
+const resolveColumns = (firstRow) => {
+  const columns = firstRow.map(cell => {
+    const name = cell.trim().toLowerCase();
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(name)) || null;
+  });
+  const hasHeader = columns.includes('originalURL');
+  return { hasHeader, columns: hasHeader ? columns : DEFAULT_COLUMNS };
+};
+
+const toEntry = (cells, columns) => {
+  const values = {};
+  columns.forEach((field, index) => {
+    if (field) values[field] = (cells[index] || '').trim();
+  });
+
+  return {
+    originalURL: values.originalURL || '',
+    customShortCode: values.customShortCode || null,
+    validityMinutes: values.validityMinutes ? Number(values.validityMinutes) : 30,
+    tags: values.tags ? values.tags.split(/[;|,]/) : [],
+    campaign: values.campaign || null
+  };
+};
+
+const parseImportText = (text) => {
+  const rows = parseDelimited(text);
+  if (rows.length === 0) return [];
+
+  const { hasHeader, columns } = resolveColumns(rows[0]);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  return dataRows.map(cells => toEntry(cells, columns));
+};
+
+const BulkImport = ({ onURLsCreated }) => {
+  const [text, setText] = useState('');
+  const [preview, setPreview] = useState([]);
+  const [results, setResults] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const validRows = preview.filter(row => row.errors.length === 0);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setText(await file.text());
+      setPreview([]);
+      setResults(null);
+      logger.info('Bulk import file loaded', { name: file.name, size: file.size });
+    } catch (error) {
+      toast({
+        title: "File Error",
+        description: "Could not read the selected file",
+        variant: "destructive"
+      });
+      logger.error('Failed to read bulk import file', error);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const handlePreview = () => {
+    const entries = parseImportText(text);
+    if (entries.length === 0) {
+      toast({
+        title: "Nothing to Import",
+        description: "Paste or upload at least one row.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (entries.length > MAX_ROWS) {
+      toast({
+        title: "Too Many Rows",
+        description: `Bulk import is limited to ${MAX_ROWS} rows at a time.`,
+        variant: "destructive"
+      });
+      return;
+    }
+
+    const rows = urlService.validateBatch(entries);
+    setPreview(rows);
+    setResults(null);
+    logger.info('Bulk import previewed', {
+      rowCount: rows.length,
+      invalidCount: rows.filter(row => row.errors.length > 0).length
+    });
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const created = await urlService.createShortURLs(validRows.map(row => row.entry));
+      const createdByRow = new Map(validRows.map((row, i) => [row.index, created[i]]));
+
+      setResults(preview.map(row => ({ ...row, urlData: createdByRow.get(row.index) || null })));
+      toast({
+        title: "Import Complete",
+        description: `${created.length} link${created.length === 1 ? '' : 's'} created, ${preview.length - created.length} skipped.`
+      });
+
+      if (onURLsCreated) {
+        onURLsCreated(created);
+      }
+    } catch (error) {
+      toast({
+        title: "Import Failed",
+        description: `${error.message}. No links were created.`,
+        variant: "destructive"
+      });
+      logger.error('Bulk import failed', { error: error.message });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const downloadResults = () => {
+    const rows = [
+      ['row', 'originalURL', 'customShortCode', 'status', 'shortURL', 'expiresAt', 'error'],
+      ...results.map(row => [
+        row.index + 1,
+        row.entry.originalURL,
+        row.entry.customShortCode || '',
+        row.urlData ? 'created' : 'skipped',
+        row.urlData?.shortURL || '',
+        row.urlData?.expiresAt || '',
+        row.errors.join('; ')
+      ])
+    ];
+    downloadFile(`bulk-import-results-${Date.now()}.csv`, toCSV(rows), 'text/csv');
+  };
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2 text-white">
+          <FileUp className="w-6 h-6" />
+          <span>Bulk Import</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div>
+          <Label htmlFor="bulk-import-text" className="text-white/80">
+            Paste CSV or TSV rows
+          </Label>
+          <textarea
+            id="bulk-import-text"
+            rows={6}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={'url,code,validity,tags\nhttps://example.com/spring,spring,1440,campaign;email'}
+            className="w-full mt-1 rounded-md border p-3 font-mono text-sm bg-white/10 border-white/20 text-white placeholder:text-white/50"
+          />
+          <p className="text-xs text-white/60 mt-1">
+            Columns: URL, custom code (optional), validity in minutes (default 30), tags separated by ";". Add a "campaign" header column to file links into a campaign.
+          </p>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => fileInputRef.current.click()}
+            className="flex items-center space-x-2 bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            <Upload className="w-4 h-4" />
+            <span>Upload File</span>
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={handlePreview}
+            disabled={!text.trim()}
+            className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            Preview
+          </Button>
+          <Button
+            type="button"
+            onClick={handleImport}
+            disabled={isImporting || validRows.length === 0 || results !== null}
+            className="flex-1 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-medium"
+          >
+            {isImporting ? 'Importing...' : `Create ${validRows.length} Link${validRows.length === 1 ? '' : 's'}`}
+          </Button>
+        </div>
+
+        {preview.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <p className="text-white/80">
+                {validRows.length} valid, {preview.length - validRows.length} with errors
+              </p>
+              {results && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={downloadResults}
+                  className="flex items-center space-x-1 text-white/70 hover:text-white hover:bg-white/10"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>Download Results</span>
+                </Button>
+              )}
+            </div>
+            <div className="max-h-72 overflow-y-auto space-y-1">
+              {preview.map(row => (
+                <div
+                  key={row.index}
+                  className="bg-white/5 p-2 rounded flex items-start space-x-3 text-sm"
+                >
+                  {row.errors.length === 0 ? (
+                    <CheckCircle2 className="w-4 h-4 text-green-400 mt-0.5 shrink-0" />
+                  ) : (
+                    <XCircle className="w-4 h-4 text-red-400 mt-0.5 shrink-0" />
+                  )}
+                  <span className="text-white/50 w-10 shrink-0">#{row.index + 1}</span>
+                  <div className="min-w-0 flex-1">
+                    <p className="text-white truncate">{row.entry.originalURL || '(empty)'}</p>
+                    <p className="text-white/60 text-xs">
+                      {row.entry.customShortCode || 'auto code'} · {row.entry.validityMinutes}m
+                      {row.entry.tags.length > 0 && ` · ${row.entry.tags.join(', ')}`}
+                      {row.entry.campaign && ` · ${row.entry.campaign}`}
+                    </p>
+                    {row.errors.map(error => (
+                      <p key={error} className="text-red-400 text-xs">{error}</p>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BulkImport;
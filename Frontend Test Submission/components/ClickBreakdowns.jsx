@@ -0,0 +1,92 @@
+import React from 'react';
+import { hourOfWeekMatrix, rankClicks } from '@/services/analytics';
+
+const BREAKDOWNS = [
+  { title: 'Top Locations', dimension: 'location' },
+  { title: 'Top Sources', dimension: 'source' },
+  { title: 'Top Referrers', dimension: 'referrer' },
+  { title: 'Campaigns', dimension: 'utmCampaign' },
+  { title: 'UTM Sources', dimension: 'utmSource' },
+  { title: 'UTM Media', dimension: 'utmMedium' },
+  { title: 'Ref Codes', dimension: 'ref' },
+  { title: 'Devices', dimension: 'device' },
+  { title: 'Browsers', dimension: 'browser' },
+  { title: 'Operating Systems', dimension: 'os' }
+];
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatValue = (count, total, showPercentages) => (
+  showPercentages ? `${((count / total) * 100).toFixed(1)}%` : count
+);
+
+const HourOfWeekHeatmap = ({ clicks, showPercentages }) => {
+  const matrix = hourOfWeekMatrix(clicks);
+  const max = Math.max(1, ...matrix.flat());
+
+  return (
+    <div className="bg-white/5 p-3 rounded-lg text-sm sm:col-span-2 lg:col-span-3">
+      <p className="text-white/70 mb-2">Clicks by Hour of Week</p>
+      <div className="overflow-x-auto">
+        <div className="min-w-[480px] space-y-0.5">
+          {matrix.map((hours, dayIndex) => (
+            <div key={DAYS[dayIndex]} className="flex items-center">
+              <span className="w-10 text-white/60 text-xs">{DAYS[dayIndex]}</span>
+              {hours.map((count, hour) => (
+                <div
+                  key={hour}
+                  title={`${DAYS[dayIndex]} ${String(hour).padStart(2, '0')}:00 · ${formatValue(count, clicks.length, showPercentages)}`}
+                  className="flex-1 h-4 mx-px rounded-sm bg-pink-500"
+                  style={{ opacity: count === 0 ? 0.08 : 0.2 + (count / max) * 0.8 }}
+                />
+              ))}
+            </div>
+          ))}
+          <div className="flex text-white/50 text-xs">
+            <span className="w-10" />
+            {[0, 6, 12, 18].map(hour => (
+              <span key={hour} className="flex-1">{String(hour).padStart(2, '0')}:00</span>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ClickBreakdowns = ({ clicks, showPercentages = false }) => {
+  if (clicks.length === 0) return null;
+
+  const breakdowns = BREAKDOWNS
+    .map(breakdown => ({ ...breakdown, rows: rankClicks(clicks, breakdown.dimension) }))
+    .filter(breakdown => breakdown.rows.length > 0);
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+      {breakdowns.map(breakdown => (
+        <div key={breakdown.dimension} className="bg-white/5 p-3 rounded-lg text-sm">
+          <p className="text-white/70 mb-2">{breakdown.title}</p>
+          <div className="space-y-1.5">
+            {breakdown.rows.map(row => (
+              <div key={row.key}>
+                <div className="flex items-center justify-between">
+                  <span className="text-white truncate">{row.key}</span>
+                  <span className="text-white/70 ml-2">{formatValue(row.count, clicks.length, showPercentages)}</span>
+                </div>
+                <div className="h-1 bg-white/10 rounded">
+                  <div
+                    className="h-1 rounded bg-gradient-to-r from-purple-500 to-pink-500"
+                    style={{ width: `${(row.count / breakdown.rows[0].count) * 100}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <HourOfWeekHeatmap clicks={clicks} showPercentages={showPercentages} />
+    </div>
+  );
+};
+
+export default ClickBreakdowns;
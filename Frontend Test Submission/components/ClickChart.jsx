@@ -0,0 +1,98 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = { top: 12, right: 8, bottom: 24, left: 32 };
+
+export const formatBucketLabel = (start, bucket) => {
+  const date = new Date(start);
+  if (bucket === 'hour') {
+    return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+  const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return bucket === 'week' ? `Week of ${day}` : day;
+};
+
+// Plain SVG bar chart scaled through the viewBox, so it fills the card width
+// without measuring the DOM.
+const ClickChart = ({ series, bucket }) => {
+  if (series.length === 0) return null;
+
+  const maxCount = Math.max(1, ...series.map(point => point.count));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / Math.max(series.length, 1);
+  const barWidth = Math.max(1, slot * 0.8);
+
+  const labelIndexes = Array.from(new Set([0, Math.floor((series.length - 1) / 2), series.length - 1]));
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label="Clicks over time"
+    >
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top + plotHeight}
+        x2={WIDTH - PADDING.right}
+        y2={PADDING.top + plotHeight}
+        stroke="rgba(255,255,255,0.3)"
+      />
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top}
+        x2={WIDTH - PADDING.right}
+        y2={PADDING.top}
+        stroke="rgba(255,255,255,0.1)"
+        strokeDasharray="4 4"
+      />
+      <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" fontSize="10" fill="rgba(255,255,255,0.6)">
+        {maxCount}
+      </text>
+      <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end" fontSize="10" fill="rgba(255,255,255,0.6)">
+        0
+      </text>
+
+      {series.map((point, index) => {
+        const height = (point.count / maxCount) * plotHeight;
+        return (
+          <rect
+            key={point.start}
+            x={PADDING.left + index * slot + (slot - barWidth) / 2}
+            y={PADDING.top + plotHeight - height}
+            width={barWidth}
+            height={height}
+            rx={Math.min(2, barWidth / 2)}
+            fill="url(#click-chart-gradient)"
+          >
+            <title>{`${formatBucketLabel(point.start, bucket)}: ${point.count} click${point.count === 1 ? '' : 's'}`}</title>
+          </rect>
+        );
+      })}
+
+      {labelIndexes.map((index, position) => (
+        <text
+          key={index}
+          x={PADDING.left + index * slot + slot / 2}
+          y={HEIGHT - 6}
+          textAnchor={position === 0 ? 'start' : position === labelIndexes.length - 1 ? 'end' : 'middle'}
+          fontSize="10"
+          fill="rgba(255,255,255,0.6)"
+        >
+          {formatBucketLabel(series[index].start, bucket)}
+        </text>
+      ))}
+
+      <defs>
+        <linearGradient id="click-chart-gradient" x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0%" stopColor="#ec4899" />
+          <stop offset="100%" stopColor="#a855f7" />
+        </linearGradient>
+      </defs>
+    </svg>
+  );
+};
+
+export default ClickChart;
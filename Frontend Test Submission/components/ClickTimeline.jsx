@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import ClickChart from '@/components/ClickChart';
+import { BUCKETS, RANGES, buildClickSeries } from '@/services/analytics';
+
+const ClickTimeline = ({ clicks, idPrefix }) => {
+  const [range, setRange] = useState('7d');
+  const [bucket, setBucket] = useState(RANGES['7d'].bucket);
+
+  const series = buildClickSeries(clicks, { range, bucket });
+  const total = series.reduce((sum, point) => sum + point.count, 0);
+
+  const handleRangeChange = (value) => {
+    setRange(value);
+    setBucket(RANGES[value].bucket);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <select
+          id={`${idPrefix}-range`}
+          aria-label="Time range"
+          value={range}
+          onChange={(e) => handleRangeChange(e.target.value)}
+          className="h-9 rounded-md border px-3 text-sm bg-white/10 border-white/20 text-white"
+        >
+          {Object.entries(RANGES).map(([value, preset]) => (
+            <option key={value} value={value} className="text-slate-900">
+              {preset.label}
+            </option>
+          ))}
+        </select>
+        <div className="flex items-center space-x-1">
+          {BUCKETS.map(size => (
+            <Button
+              key={size}
+              type="button"
+              size="sm"
+              variant="ghost"
+              onClick={() => setBucket(size)}
+              className={`capitalize text-white hover:bg-white/20 ${bucket === size ? 'bg-white/20' : 'text-white/70'}`}
+            >
+              {size}
+            </Button>
+          ))}
+        </div>
+      </div>
+      <ClickChart series={series} bucket={bucket} />
+      <p className="text-white/60 text-xs text-right">
+        {total} click{total === 1 ? '' : 's'} in range
+      </p>
+    </div>
+  );
+};
+
+export default ClickTimeline;
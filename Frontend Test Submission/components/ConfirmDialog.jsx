@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+
+// Asks before an action that can't be undone. Stays open (with the buttons
+// disabled) until `onConfirm` settles, then closes.
+const ConfirmDialog = ({ open, onOpenChange, title, description, confirmLabel, pendingLabel = 'Working...', onConfirm }) => {
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleConfirm = async () => {
+    setIsWorking(true);
+    try {
+      await onConfirm();
+    } finally {
+      setIsWorking(false);
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !isWorking && onOpenChange(next)}>
+      <DialogContent className="bg-slate-900 border-white/20 text-white">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription className="text-white/70">
+            {description}
+          </DialogDescription>
+        </DialogHeader>
+        <DialogFooter>
+          <Button
+            variant="outline"
+            disabled={isWorking}
+            onClick={() => onOpenChange(false)}
+            className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            disabled={isWorking}
+            onClick={handleConfirm}
+            className="bg-red-600 hover:bg-red-700 text-white font-medium"
+          >
+            {isWorking ? pendingLabel : confirmLabel}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,200 @@
+import React, { useRef, useState } from 'react';
+import { Download, FileJson, FileSpreadsheet, Upload } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { createCSVExport, createSnapshot, parseImportFile } from '@/services/dataTransfer';
+import { downloadFile } from '@/lib/download';
+import urlService from '@/services/urlService';
+import logger from '@/middleware/logger';
+
+const IMPORT_MODES = [
+  { value: 'merge', label: 'Merge', description: 'Keep existing links and skip conflicting shortcodes.' },
+  { value: 'replace', label: 'Replace', description: 'Delete every existing link and its clicks first.' }
+];
+
+const exportFilename = (extension) => `linkshort-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+const DataTransferBar = ({ urls }) => {
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [report, setReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleExportJSON = () => {
+    const snapshot = createSnapshot(urls);
+    downloadFile(exportFilename('json'), JSON.stringify(snapshot, null, 2), 'application/json');
+    logger.info('Exported JSON snapshot', { linkCount: snapshot.links.length, clickCount: snapshot.clicks.length });
+  };
+
+  const handleExportCSV = () => {
+    downloadFile(exportFilename('csv'), createCSVExport(urls), 'text/csv');
+    logger.info('Exported CSV', { linkCount: urls.length });
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    setFile(selected);
+    setMode('merge');
+    setReport(null);
+  };
+
+  const closeDialog = () => {
+    setFile(null);
+    setReport(null);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const data = parseImportFile(await file.text(), file.name);
+      const imported = await urlService.importURLs(data, { mode });
+      // Rows that could not be read are listed with the links the import skipped
+      const result = { ...imported, skipped: [...data.rowErrors, ...imported.skipped] };
+      setReport(result);
+      toast({
+        title: "Import Complete",
+        description: `${result.imported.length} link${result.imported.length === 1 ? '' : 's'} imported, ${result.skipped.length} skipped.`
+      });
+    } catch (error) {
+      toast({
+        title: "Import Failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      logger.error('Data import failed', { name: file.name, error: error.message });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="flex flex-wrap justify-center gap-3 mb-8">
+        <Button
+          variant="outline"
+          onClick={handleExportJSON}
+          disabled={urls.length === 0}
+          className="flex items-center space-x-2 bg-white/10 border-white/20 text-white hover:bg-white/20"
+        >
+          <FileJson className="w-4 h-4" />
+          <span>Export JSON</span>
+        </Button>
+        <Button
+          variant="outline"
+          onClick={handleExportCSV}
+          disabled={urls.length === 0}
+          className="flex items-center space-x-2 bg-white/10 border-white/20 text-white hover:bg-white/20"
+        >
+          <FileSpreadsheet className="w-4 h-4" />
+          <span>Export CSV</span>
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <Button
+          variant="outline"
+          onClick={() => fileInputRef.current.click()}
+          className="flex items-center space-x-2 bg-white/10 border-white/20 text-white hover:bg-white/20"
+        >
+          <Upload className="w-4 h-4" />
+          <span>Import</span>
+        </Button>
+      </div>
+
+      <Dialog open={Boolean(file)} onOpenChange={(open) => !open && closeDialog()}>
+        <DialogContent className="bg-slate-900 border-white/20 text-white">
+          <DialogHeader>
+            <DialogTitle>Import {file?.name}</DialogTitle>
+            <DialogDescription className="text-white/70">
+              Restores links and click history from a JSON or CSV export.
+            </DialogDescription>
+          </DialogHeader>
+
+          {report ? (
+            <div className="space-y-2 text-sm">
+              <p className="text-white/80">
+                {report.imported.length} link{report.imported.length === 1 ? '' : 's'} and {report.importedClicks} click{report.importedClicks === 1 ? '' : 's'} imported
+                {report.removed.length > 0 && `, ${report.removed.length} existing removed`}.
+              </p>
+              {report.skippedClicks > 0 && (
+                <p className="text-white/60">
+                  {report.skippedClicks} click{report.skippedClicks === 1 ? '' : 's'} skipped with their links.
+                </p>
+              )}
+              {report.skipped.length > 0 && (
+                <div className="max-h-60 overflow-y-auto space-y-1">
+                  {report.skipped.map((item, index) => (
+                    <div key={index} className="bg-white/5 p-2 rounded">
+                      <p className="text-white truncate">{item.shortCode || '(no code)'} · {item.originalURL || '(no URL)'}</p>
+                      <p className="text-red-400 text-xs">{item.reason}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {IMPORT_MODES.map(option => (
+                <label
+                  key={option.value}
+                  className="flex items-start space-x-3 bg-white/5 p-3 rounded cursor-pointer"
+                >
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    value={option.value}
+                    checked={mode === option.value}
+                    onChange={() => setMode(option.value)}
+                    className="mt-1"
+                  />
+                  <div>
+                    <p className="text-white font-medium">{option.label}</p>
+                    <p className="text-white/60 text-sm">{option.description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <DialogFooter>
+            {report ? (
+              <Button
+                onClick={closeDialog}
+                className="bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-medium"
+              >
+                Done
+              </Button>
+            ) : (
+              <Button
+                onClick={handleImport}
+                disabled={isImporting}
+                className="flex items-center space-x-2 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-medium"
+              >
+                <Download className="w-4 h-4" />
+                <span>{isImporting ? 'Importing...' : mode === 'replace' ? 'Replace All Links' : 'Import'}</span>
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default DataTransferBar;
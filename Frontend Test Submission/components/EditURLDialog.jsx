@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { Clock } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import TagInput from '@/components/TagInput';
+import urlService, { MAX_CAMPAIGN_LENGTH } from '@/services/urlService';
+import logger from '@/middleware/logger';
+
+const EXTEND_OPTIONS = [
+  { label: '+1 hour', minutes: 60 },
+  { label: '+1 day', minutes: 60 * 24 },
+  { label: '+7 days', minutes: 60 * 24 * 7 }
+];
+
+// datetime-local inputs want local wall-clock time without a zone suffix
+const toLocalInputValue = (isoString) => {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+};
+
+const EditURLDialog = ({ url, open, onOpenChange, onUpdated }) => {
+  const [form, setForm] = useState({ originalURL: '', maxClicks: '', activatesAt: '', tags: [], campaign: '' });
+  const [knownTags, setKnownTags] = useState([]);
+  const [knownCampaigns, setKnownCampaigns] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && url) {
+      setForm({
+        originalURL: url.originalURL,
+        maxClicks: url.maxClicks || '',
+        activatesAt: toLocalInputValue(url.activatesAt),
+        tags: url.tags || [],
+        campaign: url.campaign || ''
+      });
+      urlService.getAllTags().then(setKnownTags);
+      urlService.getAllCampaigns().then(setKnownCampaigns);
+    }
+  }, [open, url]);
+
+  const runUpdate = async (action, successMessage) => {
+    setIsSaving(true);
+    try {
+      const updated = await action();
+      toast({
+        title: "Link Updated",
+        description: successMessage
+      });
+      if (onUpdated) {
+        onUpdated(updated);
+      }
+      return true;
+    } catch (error) {
+      toast({
+        title: "Update Failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      logger.error('Failed to update short URL', { shortCode: url.shortCode, error: error.message });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const saved = await runUpdate(
+      () => urlService.updateURL(url.shortCode, {
+        originalURL: form.originalURL.trim(),
+        maxClicks: form.maxClicks === '' ? null : Number(form.maxClicks),
+        activatesAt: form.activatesAt ? new Date(form.activatesAt).toISOString() : null,
+        tags: form.tags,
+        campaign: form.campaign || null
+      }),
+      `${url.shortCode} has been saved`
+    );
+    if (saved) {
+      onOpenChange(false);
+    }
+  };
+
+  const handleExtend = (option) => runUpdate(
+    () => urlService.extendExpiry(url.shortCode, option.minutes),
+    `${url.shortCode} extended by ${option.label.slice(1)}`
+  );
+
+  if (!url) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-white/20 text-white">
+        <DialogHeader>
+          <DialogTitle>Edit {url.shortCode}</DialogTitle>
+          <DialogDescription className="text-white/70">
+            Changes apply immediately. Click history is kept.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <Label htmlFor="edit-original-url" className="text-white/80">
+              Destination URL
+            </Label>
+            <Input
+              id="edit-original-url"
+              type="url"
+              value={form.originalURL}
+              onChange={(e) => setForm({ ...form, originalURL: e.target.value })}
+              className="bg-white/10 border-white/20 text-white"
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="edit-max-clicks" className="text-white/80">
+                Click Limit
+              </Label>
+              <Input
+                id="edit-max-clicks"
+                type="number"
+                min="1"
+                placeholder="Unlimited"
+                value={form.maxClicks}
+                onChange={(e) => setForm({ ...form, maxClicks: parseInt(e.target.value) || '' })}
+                className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+              />
+            </div>
+            <div>
+              <Label htmlFor="edit-activates-at" className="text-white/80">
+                Go Live At
+              </Label>
+              <Input
+                id="edit-activates-at"
+                type="datetime-local"
+                value={form.activatesAt}
+                onChange={(e) => setForm({ ...form, activatesAt: e.target.value })}
+                className="bg-white/10 border-white/20 text-white"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="edit-tags" className="text-white/80">
+                Tags
+              </Label>
+              <TagInput
+                id="edit-tags"
+                value={form.tags}
+                onChange={(tags) => setForm({ ...form, tags })}
+                suggestions={knownTags}
+              />
+            </div>
+            <div>
+              <Label htmlFor="edit-campaign" className="text-white/80">
+                Campaign
+              </Label>
+              <Input
+                id="edit-campaign"
+                type="text"
+                list="edit-known-campaigns"
+                placeholder="None"
+                value={form.campaign}
+                onChange={(e) => setForm({ ...form, campaign: e.target.value })}
+                className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+                maxLength={MAX_CAMPAIGN_LENGTH}
+              />
+              <datalist id="edit-known-campaigns">
+                {knownCampaigns.map(campaign => (
+                  <option key={campaign} value={campaign} />
+                ))}
+              </datalist>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-white/80 text-sm mb-2 flex items-center space-x-1">
+              <Clock className="w-4 h-4" />
+              <span>Expires {new Date(url.expiresAt).toLocaleString()}</span>
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {EXTEND_OPTIONS.map(option => (
+                <Button
+                  key={option.minutes}
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  disabled={isSaving}
+                  onClick={() => handleExtend(option)}
+                  className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button
+              type="submit"
+              disabled={isSaving}
+              className="bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-medium"
+            >
+              {isSaving ? 'Saving...' : 'Save Changes'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default EditURLDialog;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Folder, Tag } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { GROUP_OPTIONS } from '@/components/StatisticsToolbar';
+import { groupLinks } from '@/services/analytics';
+
+const EMPTY_LABELS = {
+  campaign: 'No campaign',
+  tag: 'Untagged'
+};
+
+// Click totals per campaign or tag. Picking a group filters the list below to it.
+const LinkGroups = ({ urls, grouping, onGroupingChange, onSelect }) => {
+  const groups = groupLinks(urls, grouping);
+  const maxTotal = Math.max(1, ...groups.map(group => group.total));
+  const Icon = grouping === 'tag' ? Tag : Folder;
+
+  return (
+    <Card className="bg-white/10 backdrop-blur-md border-white/20 mb-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between text-white">
+          <div className="flex items-center space-x-2">
+            <Icon className="w-5 h-5" />
+            <span>Clicks by {GROUP_OPTIONS.find(option => option.value === grouping).label}</span>
+          </div>
+          <div className="flex items-center space-x-1 text-sm font-normal">
+            {GROUP_OPTIONS.map(option => (
+              <Button
+                key={option.value}
+                size="sm"
+                variant="ghost"
+                onClick={() => onGroupingChange(option.value)}
+                className={`text-white hover:bg-white/20 ${grouping === option.value ? 'bg-white/20' : 'text-white/70'}`}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-2">
+          {groups.map(group => (
+            <button
+              key={group.key ?? ''}
+              type="button"
+              disabled={group.key === null}
+              onClick={() => onSelect(group.key)}
+              className="w-full text-left bg-white/5 p-3 rounded-lg text-sm hover:bg-white/10 disabled:hover:bg-white/5 disabled:cursor-default"
+            >
+              <div className="flex items-center justify-between">
+                <span className={group.key === null ? 'text-white/60 italic' : 'text-white font-medium truncate'}>
+                  {group.key === null ? EMPTY_LABELS[grouping] : grouping === 'tag' ? `#${group.key}` : group.key}
+                </span>
+                <span className="text-white/70 ml-2 whitespace-nowrap">
+                  {group.links.length} link{group.links.length === 1 ? '' : 's'} · {group.total} click{group.total === 1 ? '' : 's'} · {group.uniqueVisitors} visitor{group.uniqueVisitors === 1 ? '' : 's'}
+                </span>
+              </div>
+              <div className="h-1 mt-1.5 bg-white/10 rounded">
+                <div
+                  className="h-1 rounded bg-gradient-to-r from-purple-500 to-pink-500"
+                  style={{ width: `${(group.total / maxTotal) * 100}%` }}
+                />
+              </div>
+            </button>
+          ))}
+        </div>
+        {grouping === 'tag' && (
+          <p className="text-white/50 text-xs mt-3">
+            A link with several tags counts towards each of them.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LinkGroups;
@@ -3,18 +3,19 @@ import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Link as LinkIcon, BarChart3 } from 'lucide-react';
+import { ROUTES } from '@/services/routes';
 
 const Navigation = () => {
   const location = useLocation();
 
   const navItems = [
     {
-      path: '/',
+      path: ROUTES.home,
       label: 'URL Shortener',
       icon: LinkIcon
     },
     {
-      path: '/statistics',
+      path: ROUTES.statistics,
       label: 'Statistics',
       icon: BarChart3
     }
@@ -0,0 +1,39 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+
+const Pagination = ({ page, pageCount, onPageChange }) => {
+  if (pageCount <= 1) return null;
+
+  return (
+    <div className="flex items-center justify-center space-x-3">
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        disabled={page <= 1}
+        onClick={() => onPageChange(page - 1)}
+        className="flex items-center space-x-1 bg-white/10 border-white/20 text-white hover:bg-white/20"
+      >
+        <ChevronLeft className="w-4 h-4" />
+        <span>Previous</span>
+      </Button>
+      <span className="text-white/70 text-sm">
+        Page {page} of {pageCount}
+      </span>
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        disabled={page >= pageCount}
+        onClick={() => onPageChange(page + 1)}
+        className="flex items-center space-x-1 bg-white/10 border-white/20 text-white hover:bg-white/20"
+      >
+        <span>Next</span>
+        <ChevronRight className="w-4 h-4" />
+      </Button>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { ERROR_CORRECTION_LEVELS, drawToCanvas, encodeQR, toSVG } from '@/services/qrCode';
+import { qrVariantURL } from '@/services/clickSource';
+import { downloadFile } from '@/lib/download';
+import logger from '@/middleware/logger';
+
+const SIZES = [128, 256, 512, 1024];
+
+const DEFAULT_OPTIONS = {
+  errorCorrection: 'M',
+  size: 512,
+  foreground: '#000000',
+  background: '#ffffff'
+};
+
+const selectClassName = 'w-full h-10 rounded-md border px-3 text-sm bg-white/10 border-white/20 text-white';
+
+const QRCodeDialog = ({ url, open, onOpenChange }) => {
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+
+  if (!url) return null;
+
+  const target = qrVariantURL(url.shortURL);
+  const qr = encodeQR(target, { errorCorrection: options.errorCorrection });
+  const svg = toSVG(qr, options);
+
+  const handleDownloadSVG = () => {
+    downloadFile(`${url.shortCode}-qr.svg`, svg, 'image/svg+xml');
+    logger.info('Downloaded QR code', { shortCode: url.shortCode, format: 'svg', ...options });
+  };
+
+  const handleDownloadPNG = () => {
+    const canvas = drawToCanvas(qr, document.createElement('canvas'), options);
+    canvas.toBlob(blob => {
+      if (!blob) {
+        toast({
+          title: "Download Failed",
+          description: "Could not render the QR code as PNG",
+          variant: "destructive"
+        });
+        logger.error('Failed to render QR code PNG', { shortCode: url.shortCode });
+        return;
+      }
+      downloadFile(`${url.shortCode}-qr.png`, blob, 'image/png');
+      logger.info('Downloaded QR code', { shortCode: url.shortCode, format: 'png', ...options });
+    }, 'image/png');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-white/20 text-white">
+        <DialogHeader>
+          <DialogTitle>QR Code for {url.shortCode}</DialogTitle>
+          <DialogDescription className="text-white/70">
+            Scans are recorded with the source "qr".
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex justify-center">
+          <img
+            src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+            alt={`QR code for ${url.shortURL}`}
+            className="w-48 h-48 rounded"
+          />
+        </div>
+        <p className="text-white/60 text-xs text-center font-mono break-all">{target}</p>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <Label htmlFor="qr-error-correction" className="text-white/80">
+              Error Correction
+            </Label>
+            <select
+              id="qr-error-correction"
+              value={options.errorCorrection}
+              onChange={(e) => setOptions({ ...options, errorCorrection: e.target.value })}
+              className={selectClassName}
+            >
+              {Object.entries(ERROR_CORRECTION_LEVELS).map(([value, level]) => (
+                <option key={value} value={value} className="text-slate-900">
+                  {level.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor="qr-size" className="text-white/80">
+              Size
+            </Label>
+            <select
+              id="qr-size"
+              value={options.size}
+              onChange={(e) => setOptions({ ...options, size: Number(e.target.value) })}
+              className={selectClassName}
+            >
+              {SIZES.map(size => (
+                <option key={size} value={size} className="text-slate-900">
+                  {size} × {size} px
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor="qr-foreground" className="text-white/80">
+              Foreground
+            </Label>
+            <Input
+              id="qr-foreground"
+              type="color"
+              value={options.foreground}
+              onChange={(e) => setOptions({ ...options, foreground: e.target.value })}
+              className="bg-white/10 border-white/20 p-1"
+            />
+          </div>
+          <div>
+            <Label htmlFor="qr-background" className="text-white/80">
+              Background
+            </Label>
+            <Input
+              id="qr-background"
+              type="color"
+              value={options.background}
+              onChange={(e) => setOptions({ ...options, background: e.target.value })}
+              className="bg-white/10 border-white/20 p-1"
+            />
+          </div>
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={handleDownloadSVG}
+            className="flex items-center space-x-2 bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            <Download className="w-4 h-4" />
+            <span>SVG</span>
+          </Button>
+          <Button
+            type="button"
+            onClick={handleDownloadPNG}
+            className="flex items-center space-x-2 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-medium"
+          >
+            <Download className="w-4 h-4" />
+            <span>PNG</span>
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default QRCodeDialog;
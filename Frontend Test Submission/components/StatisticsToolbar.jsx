@@ -0,0 +1,209 @@
+import React from 'react';
+import { ArrowDown, ArrowUp, Search, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+
+export const STATUS_OPTIONS = [
+  { value: '', label: 'All statuses' },
+  { value: 'active', label: 'Active' },
+  { value: 'expiringSoon', label: 'Expiring soon' },
+  { value: 'expired', label: 'Expired' }
+];
+
+export const GROUP_OPTIONS = [
+  { value: 'campaign', label: 'Campaign' },
+  { value: 'tag', label: 'Tag' }
+];
+
+export const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Created' },
+  { value: 'expiresAt', label: 'Expiry' },
+  { value: 'clicks', label: 'Clicks' }
+];
+
+const DEFAULT_VIEW = {
+  q: '',
+  status: '',
+  tag: '',
+  campaign: '',
+  from: '',
+  to: '',
+  sort: 'createdAt',
+  order: 'desc',
+  group: 'campaign',
+  page: 1
+};
+
+// The view lives in the query string (?q=&status=&tag=&campaign=&from=&to=
+// &sort=&order=&group=&page=) so a filtered list can be shared as a link.
+// Defaults are left out of the URL.
+export function readView(searchParams) {
+  const view = { ...DEFAULT_VIEW };
+  Object.keys(DEFAULT_VIEW).forEach(key => {
+    const value = searchParams.get(key);
+    if (value !== null) view[key] = value;
+  });
+
+  if (!STATUS_OPTIONS.some(option => option.value === view.status)) view.status = '';
+  if (!SORT_OPTIONS.some(option => option.value === view.sort)) view.sort = DEFAULT_VIEW.sort;
+  if (view.order !== 'asc') view.order = 'desc';
+  if (!GROUP_OPTIONS.some(option => option.value === view.group)) view.group = DEFAULT_VIEW.group;
+  view.page = Math.max(1, parseInt(view.page, 10) || 1);
+  return view;
+}
+
+export function writeView(view) {
+  const params = new URLSearchParams();
+  Object.entries(view).forEach(([key, value]) => {
+    if (value !== '' && value !== DEFAULT_VIEW[key]) params.set(key, value);
+  });
+  return params;
+}
+
+// Date inputs give local calendar days; the service compares full timestamps
+export function toQuery(view) {
+  return {
+    search: view.q,
+    status: view.status,
+    tags: view.tag ? [view.tag] : [],
+    campaign: view.campaign,
+    createdFrom: view.from ? new Date(`${view.from}T00:00:00`).toISOString() : null,
+    createdTo: view.to ? new Date(`${view.to}T23:59:59.999`).toISOString() : null,
+    sort: view.sort,
+    order: view.order
+  };
+}
+
+const selectClassName = 'h-10 rounded-md border px-3 text-sm bg-white/10 border-white/20 text-white';
+
+export const isFilteredView = (view) => Boolean(view.q || view.status || view.tag || view.campaign || view.from || view.to);
+
+const StatisticsToolbar = ({ view, onChange, tags = [], campaigns = [] }) => {
+  // Any filter change sends the list back to its first page
+  const update = (changes) => onChange({ ...view, page: 1, ...changes });
+  const isFiltered = isFilteredView(view);
+
+  return (
+    <div className="bg-white/10 backdrop-blur-md border border-white/20 rounded-lg p-4 mb-6 space-y-3">
+      <div className="relative">
+        <Search className="w-4 h-4 text-white/50 absolute left-3 top-3" />
+        <Input
+          type="search"
+          aria-label="Search links"
+          placeholder="Search by shortcode, destination, tag or campaign"
+          value={view.q}
+          onChange={(e) => update({ q: e.target.value })}
+          className="pl-9 bg-white/10 border-white/20 text-white placeholder:text-white/50"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          aria-label="Status"
+          value={view.status}
+          onChange={(e) => update({ status: e.target.value })}
+          className={selectClassName}
+        >
+          {STATUS_OPTIONS.map(option => (
+            <option key={option.value} value={option.value} className="text-slate-900">
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        {tags.length > 0 && (
+          <select
+            aria-label="Tag"
+            value={view.tag}
+            onChange={(e) => update({ tag: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="" className="text-slate-900">All tags</option>
+            {tags.map(tag => (
+              <option key={tag} value={tag} className="text-slate-900">
+                #{tag}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {campaigns.length > 0 && (
+          <select
+            aria-label="Campaign"
+            value={view.campaign}
+            onChange={(e) => update({ campaign: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="" className="text-slate-900">All campaigns</option>
+            {campaigns.map(campaign => (
+              <option key={campaign} value={campaign} className="text-slate-900">
+                {campaign}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <label className="flex items-center space-x-2 text-white/70 text-sm">
+          <span>Created</span>
+          <Input
+            type="date"
+            aria-label="Created from"
+            value={view.from}
+            max={view.to || undefined}
+            onChange={(e) => update({ from: e.target.value })}
+            className="w-auto bg-white/10 border-white/20 text-white"
+          />
+          <span>to</span>
+          <Input
+            type="date"
+            aria-label="Created to"
+            value={view.to}
+            min={view.from || undefined}
+            onChange={(e) => update({ to: e.target.value })}
+            className="w-auto bg-white/10 border-white/20 text-white"
+          />
+        </label>
+
+        <div className="flex items-center space-x-1 sm:ml-auto">
+          <select
+            aria-label="Sort by"
+            value={view.sort}
+            onChange={(e) => update({ sort: e.target.value })}
+            className={selectClassName}
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value} className="text-slate-900">
+                Sort: {option.label}
+              </option>
+            ))}
+          </select>
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            aria-label={view.order === 'asc' ? 'Ascending' : 'Descending'}
+            onClick={() => update({ order: view.order === 'asc' ? 'desc' : 'asc' })}
+            className="text-white hover:bg-white/20"
+          >
+            {view.order === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+          </Button>
+        </div>
+
+        {isFiltered && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => update({ q: '', status: '', tag: '', campaign: '', from: '', to: '' })}
+            className="flex items-center space-x-1 text-white/70 hover:text-white hover:bg-white/10"
+          >
+            <X className="w-4 h-4" />
+            <span>Clear filters</span>
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatisticsToolbar;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { MAX_TAGS, MAX_TAG_LENGTH } from '@/services/urlService';
+
+const MAX_SUGGESTIONS = 6;
+
+// Tags as removable chips. Enter or a comma adds what was typed; existing tags
+// starting with the typed text are offered underneath while the box has focus.
+const TagInput = ({ id, value, onChange, suggestions = [] }) => {
+  const [draft, setDraft] = useState('');
+  const [focused, setFocused] = useState(false);
+
+  const addTag = (tag) => {
+    const normalized = tag.trim().toLowerCase();
+    setDraft('');
+    if (!normalized || value.includes(normalized) || value.length >= MAX_TAGS) return;
+    onChange([...value, normalized]);
+  };
+
+  const removeTag = (tag) => onChange(value.filter(existing => existing !== tag));
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && draft.trim()) {
+      e.preventDefault();
+      addTag(draft);
+    } else if (e.key === 'Backspace' && !draft && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  const term = draft.trim().toLowerCase();
+  const matches = suggestions
+    .filter(tag => !value.includes(tag) && tag.startsWith(term) && tag !== term)
+    .slice(0, MAX_SUGGESTIONS);
+  const isFull = value.length >= MAX_TAGS;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 rounded-md border border-white/20 bg-white/10 px-2 py-1 min-h-10">
+        {value.map(tag => (
+          <span key={tag} className="flex items-center space-x-1 rounded bg-purple-500/30 px-2 py-0.5 text-sm text-white">
+            <span>{tag}</span>
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              className="text-white/70 hover:text-white"
+              aria-label={`Remove tag ${tag}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <Input
+          id={id}
+          type="text"
+          value={draft}
+          disabled={isFull}
+          placeholder={isFull ? `Up to ${MAX_TAGS} tags` : value.length === 0 ? 'Add tags' : ''}
+          onChange={(e) => setDraft(e.target.value.replace(/,/g, ''))}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => {
+            setFocused(false);
+            if (draft.trim()) addTag(draft);
+          }}
+          className="flex-1 w-auto min-w-[8rem] h-8 border-0 bg-transparent px-1 text-white placeholder:text-white/50 focus-visible:ring-0 focus-visible:ring-offset-0"
+          maxLength={MAX_TAG_LENGTH}
+          autoComplete="off"
+        />
+      </div>
+      {focused && matches.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-white/70">
+          <span>Existing:</span>
+          {matches.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              // Keep focus in the input so the draft is not committed on blur
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addTag(tag)}
+              className="rounded border border-white/20 bg-white/10 px-2 py-0.5 text-white hover:bg-white/20"
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -1,20 +1,98 @@
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Plus, Trash2, Link as LinkIcon } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import TagInput from '@/components/TagInput';
 import { toast } from '@/components/ui/use-toast';
-import urlService from '@/services/urlService';
+import urlService, { MAX_CAMPAIGN_LENGTH } from '@/services/urlService';
+import { getBaseURL, getBrandedDomains, shouldReuseExistingLinks } from '@/services/config';
+import { MAX_SHORT_CODE_LENGTH } from '@/services/shortCodes';
+import { getReservedReason } from '@/services/shortCodes/reserved';
+import { SHORT_CODE_HINT, getShortCodeFormatError, shortCodeKey } from '@/services/shortCodes/policy';
 import logger from '@/middleware/logger';
 
+const createEmptyRow = (id = Date.now()) => ({
+  id,
+  originalURL: '',
+  validityMinutes: 30,
+  customShortCode: '',
+  domain: getBaseURL(),
+  password: '',
+  maxClicks: '',
+  activatesAt: '',
+  tags: [],
+  campaign: ''
+});
+
+// Taken or reserved codes are flagged while typing, with alternatives to pick
+const getShortCodeConflict = (shortCode) => {
+  if (!shortCode || !urlService.isValidShortCodeFormat(shortCode)) return null;
+
+  const reservedReason = getReservedReason(shortCode);
+  if (!reservedReason && urlService.isShortCodeUnique(shortCode)) return null;
+
+  return {
+    message: reservedReason ? `Shortcode ${reservedReason}` : `"${shortCode}" is already taken`,
+    suggestions: urlService.getShortCodeSuggestions(shortCode)
+  };
+};
+
+const ShortCodeHint = ({ shortCode, onPick }) => {
+  const conflict = getShortCodeConflict(shortCode);
+  if (!conflict) {
+    return (
+      <p className="text-xs text-white/60 mt-1">
+        {SHORT_CODE_HINT}
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-1 space-y-1">
+      <p className="text-xs text-orange-300">{conflict.message}</p>
+      {conflict.suggestions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-white/60">Try:</span>
+          {conflict.suggestions.map(suggestion => (
+            <Button
+              key={suggestion}
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => onPick(suggestion)}
+              className="h-7 px-2 font-mono bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+              {suggestion}
+            </Button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const URLForm = ({ onURLsCreated }) => {
-  const [urls, setUrls] = useState([
-    { id: 1, originalURL: '', validityMinutes: 30, customShortCode: '' }
-  ]);
+  const brandedDomains = getBrandedDomains();
+  const [urls, setUrls] = useState([createEmptyRow(1)]);
   const [isLoading, setIsLoading] = useState(false);
+  const [reuseExisting, setReuseExisting] = useState(shouldReuseExistingLinks);
+  const [knownTags, setKnownTags] = useState([]);
+  const [knownCampaigns, setKnownCampaigns] = useState([]);
+
+  // Autocomplete offers what other links already use, kept current as links change
+  useEffect(() => {
+    const loadSuggestions = async () => {
+      const [tags, campaigns] = await Promise.all([urlService.getAllTags(), urlService.getAllCampaigns()]);
+      setKnownTags(tags);
+      setKnownCampaigns(campaigns);
+    };
+    loadSuggestions();
+    return urlService.subscribe(loadSuggestions);
+  }, []);
 
   const addURLField = () => {
     if (urls.length >= 5) {
@@ -26,13 +104,7 @@ const URLForm = ({ onURLsCreated }) => {
       return;
     }
 
-    const newUrl = {
-      id: Date.now(),
-      originalURL: '',
-      validityMinutes: 30,
-      customShortCode: ''
-    };
-    setUrls([...urls, newUrl]);
+    setUrls([...urls, createEmptyRow()]);
     logger.info('URL field added', { totalFields: urls.length + 1 });
   };
 
@@ -64,19 +136,41 @@ const URLForm = ({ onURLsCreated }) => {
         errors.push(`URL ${index + 1}: Original URL is required`);
       } else if (!urlService.isValidURL(url.originalURL)) {
         errors.push(`URL ${index + 1}: Invalid URL format`);
+      } else {
+        const violation = urlService.getURLViolation(url.originalURL, url.customShortCode || null);
+        if (violation) errors.push(`URL ${index + 1}: ${violation.message}`);
       }
       
       if (!Number.isInteger(Number(url.validityMinutes)) || Number(url.validityMinutes) <= 0) {
         errors.push(`URL ${index + 1}: Validity must be a positive integer`);
       }
       
-      if (url.customShortCode && (!/^[a-zA-Z0-9]+$/.test(url.customShortCode) || url.customShortCode.length > 20)) {
-        errors.push(`URL ${index + 1}: Custom shortcode must be alphanumeric and max 20 characters`);
+      if (url.customShortCode && getShortCodeFormatError(url.customShortCode)) {
+        errors.push(`URL ${index + 1}: ${getShortCodeFormatError(url.customShortCode)}`);
+      } else if (url.customShortCode && getReservedReason(url.customShortCode)) {
+        errors.push(`URL ${index + 1}: Custom shortcode ${getReservedReason(url.customShortCode)}`);
+      }
+
+      if (url.maxClicks !== '' && (!Number.isInteger(Number(url.maxClicks)) || Number(url.maxClicks) <= 0)) {
+        errors.push(`URL ${index + 1}: Click limit must be a positive integer`);
+      }
+
+      if (url.activatesAt && Number.isNaN(new Date(url.activatesAt).getTime())) {
+        errors.push(`URL ${index + 1}: Activation time must be a valid date`);
+      }
+
+      if (url.password && (url.password.length < 4 || url.password.length > 128)) {
+        errors.push(`URL ${index + 1}: Password must be between 4 and 128 characters`);
+      }
+
+      if (url.campaign.trim().length > MAX_CAMPAIGN_LENGTH) {
+        errors.push(`URL ${index + 1}: Campaign names can be at most ${MAX_CAMPAIGN_LENGTH} characters`);
       }
     });
 
-    // Check for duplicate custom shortcodes
-    const customCodes = urls.filter(url => url.customShortCode).map(url => url.customShortCode);
+    // Check for duplicate custom shortcodes, compared the way the service
+    // compares them (composed form, and case when codes ignore it)
+    const customCodes = urls.filter(url => url.customShortCode).map(url => shortCodeKey(url.customShortCode));
     const duplicates = customCodes.filter((code, index) => customCodes.indexOf(code) !== index);
     if (duplicates.length > 0) {
       errors.push('Duplicate custom shortcodes are not allowed');
@@ -102,19 +196,35 @@ const URLForm = ({ onURLsCreated }) => {
     }
 
     setIsLoading(true);
-    logger.info('Starting URL shortening process', { urlCount: urls.length });
+    logger.info('Starting URL shortening process', { urlCount: urls.length, reuseExisting });
 
     try {
       const results = [];
       
       for (const url of urls) {
         try {
-          const result = urlService.createShortURL(
+          const result = await urlService.createShortURL(
             url.originalURL,
             url.customShortCode || null,
-            Number(url.validityMinutes)
+            Number(url.validityMinutes),
+            {
+              domain: url.domain,
+              password: url.password || null,
+              maxClicks: url.maxClicks === '' ? null : Number(url.maxClicks),
+              // datetime-local values are in the visitor's local time zone
+              activatesAt: url.activatesAt ? new Date(url.activatesAt).toISOString() : null,
+              tags: url.tags,
+              campaign: url.campaign || null,
+              reuseExisting
+            }
           );
           results.push(result);
+          if (result.reused) {
+            toast({
+              title: "Already Shortened",
+              description: `${url.originalURL} is already shortened as ${result.shortURL}`
+            });
+          }
         } catch (error) {
           toast({
             title: "Error Creating Short URL",
@@ -125,21 +235,25 @@ const URLForm = ({ onURLsCreated }) => {
         }
       }
 
-      if (results.length > 0) {
+      const createdCount = results.filter(result => !result.reused).length;
+      if (createdCount > 0) {
         toast({
           title: "Success!",
-          description: `${results.length} URL${results.length > 1 ? 's' : ''} shortened successfully!`
+          description: `${createdCount} URL${createdCount > 1 ? 's' : ''} shortened successfully!`
         });
+      }
+
+      if (results.length > 0) {
         
         // Reset form
-        setUrls([{ id: Date.now(), originalURL: '', validityMinutes: 30, customShortCode: '' }]);
+        setUrls([createEmptyRow()]);
         
         // Notify parent component
         if (onURLsCreated) {
           onURLsCreated(results);
         }
         
-        logger.info('URLs shortened successfully', { count: results.length });
+        logger.info('URLs shortened successfully', { count: createdCount, reusedCount: results.length - createdCount });
       }
     } catch (error) {
       toast({
@@ -228,17 +342,142 @@ const URLForm = ({ onURLsCreated }) => {
                   type="text"
                   placeholder="my-custom-code"
                   value={url.customShortCode}
-                  onChange={(e) => updateURL(url.id, 'customShortCode', e.target.value)}
+                  // Cut at characters, not UTF-16 units as maxLength would
+                  onChange={(e) => updateURL(url.id, 'customShortCode', Array.from(e.target.value).slice(0, MAX_SHORT_CODE_LENGTH).join(''))}
                   className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
-                  maxLength={20}
                 />
-                <p className="text-xs text-white/60 mt-1">
-                  Alphanumeric characters only, max 20 characters
-                </p>
+                <ShortCodeHint
+                  shortCode={url.customShortCode}
+                  onPick={(suggestion) => updateURL(url.id, 'customShortCode', suggestion)}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <Label htmlFor={`password-${url.id}`} className="text-white/80">
+                    Password (optional)
+                  </Label>
+                  <Input
+                    id={`password-${url.id}`}
+                    type="password"
+                    placeholder="Leave empty for a public link"
+                    value={url.password}
+                    onChange={(e) => updateURL(url.id, 'password', e.target.value)}
+                    className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+                    autoComplete="new-password"
+                    maxLength={128}
+                  />
+                  <p className="text-xs text-white/60 mt-1">
+                    Visitors must enter this password before being redirected
+                  </p>
+                </div>
+
+                <div>
+                  <Label htmlFor={`max-clicks-${url.id}`} className="text-white/80">
+                    Click Limit (optional)
+                  </Label>
+                  <Input
+                    id={`max-clicks-${url.id}`}
+                    type="number"
+                    min="1"
+                    placeholder="Unlimited"
+                    value={url.maxClicks}
+                    onChange={(e) => updateURL(url.id, 'maxClicks', parseInt(e.target.value) || '')}
+                    className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+                  />
+                  <p className="text-xs text-white/60 mt-1">
+                    Set to 1 for a single-use link
+                  </p>
+                </div>
+
+                <div>
+                  <Label htmlFor={`activates-at-${url.id}`} className="text-white/80">
+                    Go Live At (optional)
+                  </Label>
+                  <Input
+                    id={`activates-at-${url.id}`}
+                    type="datetime-local"
+                    value={url.activatesAt}
+                    onChange={(e) => updateURL(url.id, 'activatesAt', e.target.value)}
+                    className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+                  />
+                  <p className="text-xs text-white/60 mt-1">
+                    Validity starts counting from this time
+                  </p>
+                </div>
               </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor={`tags-${url.id}`} className="text-white/80">
+                    Tags (optional)
+                  </Label>
+                  <TagInput
+                    id={`tags-${url.id}`}
+                    value={url.tags}
+                    onChange={(tags) => updateURL(url.id, 'tags', tags)}
+                    suggestions={knownTags}
+                  />
+                </div>
+
+                <div>
+                  <Label htmlFor={`campaign-${url.id}`} className="text-white/80">
+                    Campaign (optional)
+                  </Label>
+                  <Input
+                    id={`campaign-${url.id}`}
+                    type="text"
+                    list="known-campaigns"
+                    placeholder="e.g. Spring Sale"
+                    value={url.campaign}
+                    onChange={(e) => updateURL(url.id, 'campaign', e.target.value)}
+                    className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+                    maxLength={MAX_CAMPAIGN_LENGTH}
+                  />
+                  <p className="text-xs text-white/60 mt-1">
+                    Groups links in statistics with combined click totals
+                  </p>
+                </div>
+              </div>
+
+              {brandedDomains.length > 1 && (
+                <div>
+                  <Label htmlFor={`domain-${url.id}`} className="text-white/80">
+                    Domain
+                  </Label>
+                  <select
+                    id={`domain-${url.id}`}
+                    value={url.domain}
+                    onChange={(e) => updateURL(url.id, 'domain', e.target.value)}
+                    className="flex h-10 w-full rounded-md border px-3 py-2 text-sm bg-white/10 border-white/20 text-white"
+                  >
+                    {brandedDomains.map(domain => (
+                      <option key={domain} value={domain} className="text-slate-900">
+                        {domain.replace(/^https?:\/\//, '')}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </motion.div>
           ))}
+
+          <datalist id="known-campaigns">
+            {knownCampaigns.map(campaign => (
+              <option key={campaign} value={campaign} />
+            ))}
+          </datalist>
           
+          <label className="flex items-center space-x-2 text-white/80 text-sm">
+            <input
+              type="checkbox"
+              checked={reuseExisting}
+              onChange={(e) => setReuseExisting(e.target.checked)}
+              className="w-4 h-4 accent-purple-500"
+            />
+            <span>Reuse an existing short link when the same URL was already shortened with the same settings</span>
+          </label>
+
           <div className="flex flex-col sm:flex-row gap-3">
             <Button
               type="button"
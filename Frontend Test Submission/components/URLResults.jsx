@@ -1,13 +1,16 @@
 
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { Copy, ExternalLink, Clock } from 'lucide-react';
+import { Copy, ExternalLink, Clock, QrCode } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { toast } from '@/components/ui/use-toast';
+import QRCodeDialog from '@/components/QRCodeDialog';
 import logger from '@/middleware/logger';
 
 const URLResults = ({ urls }) => {
+  const [qrURL, setQRURL] = useState(null);
+
   const copyToClipboard = async (text, label) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -30,9 +33,13 @@ const URLResults = ({ urls }) => {
     return new Date(dateString).toLocaleString();
   };
 
-  const getTimeRemaining = (expiresAt) => {
+  const getTimeRemaining = (url) => {
     const now = new Date();
-    const expiry = new Date(expiresAt);
+    if (url.activatesAt && new Date(url.activatesAt) > now) {
+      return `Goes live ${formatDate(url.activatesAt)}`;
+    }
+
+    const expiry = new Date(url.expiresAt);
     const diff = expiry - now;
     
     if (diff <= 0) return 'Expired';
@@ -56,7 +63,8 @@ const URLResults = ({ urls }) => {
       
       {urls.map((url, index) => (
         <motion.div
-          key={url.id}
+          // The same reused link can come back for two rows of one submission
+          key={`${url.id}-${index}`}
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ delay: index * 0.1 }}
@@ -64,10 +72,17 @@ const URLResults = ({ urls }) => {
           <Card className="bg-white/10 backdrop-blur-md border-white/20">
             <CardHeader className="pb-3">
               <CardTitle className="text-lg text-white flex items-center justify-between">
-                <span className="truncate">Short URL #{index + 1}</span>
+                <span className="truncate">
+                  Short URL #{index + 1}
+                  {url.reused && (
+                    <span className="ml-2 px-2 py-0.5 rounded bg-white/10 text-white/70 text-xs font-normal">
+                      Already shortened
+                    </span>
+                  )}
+                </span>
                 <div className="flex items-center space-x-1 text-sm text-white/70">
                   <Clock className="w-4 h-4" />
-                  <span>{getTimeRemaining(url.expiresAt)}</span>
+                  <span>{getTimeRemaining(url)}</span>
                 </div>
               </CardTitle>
             </CardHeader>
@@ -111,6 +126,15 @@ const URLResults = ({ urls }) => {
                   >
                     <ExternalLink className="w-4 h-4" />
                   </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setQRURL(url)}
+                  className="text-white/70 hover:text-white hover:bg-white/10"
+                  aria-label="Show QR code"
+                >
+                  <QrCode className="w-4 h-4" />
+                </Button>
                 </div>
               </div>
               
@@ -128,6 +152,12 @@ const URLResults = ({ urls }) => {
           </Card>
         </motion.div>
       ))}
+
+      <QRCodeDialog
+        url={qrURL}
+        open={Boolean(qrURL)}
+        onOpenChange={(open) => !open && setQRURL(null)}
+      />
     </div>
   );
 };
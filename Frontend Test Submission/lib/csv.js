@@ -0,0 +1,73 @@
+// Picks tab when the first line has more tabs than commas, so pasted
+// spreadsheet cells (TSV) and saved .csv files both work.
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const tabs = (firstLine.match(/\t/g) || []).length;
+  const commas = (firstLine.match(/,/g) || []).length;
+  return tabs > commas ? '\t' : ',';
+}
+
+// RFC 4180 style parser: quoted fields may contain delimiters, newlines and
+// doubled quotes. Blank lines are skipped.
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+// Spreadsheets run text cells starting with one of these as a formula, so
+// such cells are written with a leading apostrophe. Cells that already start
+// with apostrophes before one get another, so unescapeFormula is exact.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Reverses the apostrophe escapeField adds, for reading files from toCSV
+export function unescapeFormula(field) {
+  return field.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+export function toCSV(rows) {
+  return rows.map(row => row.map(escapeField).join(',')).join('\r\n');
+}
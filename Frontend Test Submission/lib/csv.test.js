@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimited, toCSV, unescapeFormula } from './csv.js';
+
+test('toCSV quotes delimiters, quotes and newlines', () => {
+  assert.equal(toCSV([['a,b', 'say "hi"', 'two\nlines']]), '"a,b","say ""hi""","two\nlines"');
+});
+
+test('toCSV neutralises cells a spreadsheet would run as a formula', () => {
+  const csv = toCSV([['=HYPERLINK("http://evil.test")', '+1', '-2', '@SUM(A1)', '\tx', 'plain']]);
+  const [cells] = parseDelimited(csv, ',');
+  assert.deepEqual(cells, ["'=HYPERLINK(\"http://evil.test\")", "'+1", "'-2", "'@SUM(A1)", "'\tx", 'plain']);
+});
+
+test('toCSV leaves numbers alone', () => {
+  assert.equal(toCSV([[-5, 3]]), '-5,3');
+});
+
+test('unescapeFormula restores what toCSV wrote', () => {
+  ['=1+1', "'=1+1", "''@x", "'quoted", 'plain', ''].forEach(value => {
+    const [[cell]] = parseDelimited(toCSV([[value, 'x']]), ',');
+    assert.equal(unescapeFormula(cell), value);
+  });
+});
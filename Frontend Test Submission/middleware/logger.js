@@ -1,4 +1,6 @@
 
+const isBrowser = typeof window !== 'undefined' && typeof localStorage !== 'undefined';
+
 class Logger {
   constructor() {
     this.logs = [];
@@ -13,8 +15,8 @@ class Logger {
       level,
       message,
       data,
-      userAgent: navigator.userAgent,
-      url: window.location.href
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      url: isBrowser ? window.location.href : null
     };
 
     this.logs.unshift(logEntry);
@@ -25,10 +27,12 @@ class Logger {
     }
 
     // Store in localStorage for persistence
-    try {
-      localStorage.setItem('app_logs', JSON.stringify(this.logs.slice(0, 100)));
-    } catch (error) {
-      console.warn('Failed to store logs in localStorage:', error);
+    if (isBrowser) {
+      try {
+        localStorage.setItem('app_logs', JSON.stringify(this.logs.slice(0, 100)));
+      } catch (error) {
+        console.warn('Failed to store logs in localStorage:', error);
+      }
     }
 
     // Output to console for development
@@ -58,12 +62,14 @@ class Logger {
 
   clearLogs() {
     this.logs = [];
-    localStorage.removeItem('app_logs');
+    if (isBrowser) localStorage.removeItem('app_logs');
     this.info('Logs cleared');
   }
 
   // Load logs from localStorage on initialization
   loadLogs() {
+    if (!isBrowser) return;
+
     try {
       const storedLogs = localStorage.getItem('app_logs');
       if (storedLogs) {
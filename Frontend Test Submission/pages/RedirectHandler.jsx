@@ -2,15 +2,39 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, Navigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { ExternalLink, Clock, AlertCircle } from 'lucide-react';
+import { ExternalLink, Clock, AlertCircle, Lock, Ban, CalendarClock, ShieldAlert } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
 import urlService from '@/services/urlService';
+import { ERROR_CODES } from '@/services/errors';
+import { resolveClickSource } from '@/services/clickSource';
 import logger from '@/middleware/logger';
 
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const days = Math.floor(totalSeconds / 86400);
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = `${pad(Math.floor(totalSeconds / 3600) % 24)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+  return days > 0 ? `${days}d ${time}` : time;
+};
+
+const ERROR_STATUSES = {
+  [ERROR_CODES.EXPIRED]: 'expired',
+  [ERROR_CODES.DEACTIVATED]: 'inactive',
+  [ERROR_CODES.CLICK_LIMIT_REACHED]: 'limitReached'
+};
+
 const RedirectHandler = () => {
   const { shortCode } = useParams();
-  const [status, setStatus] = useState('loading'); // loading, redirecting, expired, notfound
+  const [status, setStatus] = useState('loading'); // loading, scheduled, password, redirecting, expired, limitReached, inactive, blocked, notfound
+  const [blockedReason, setBlockedReason] = useState('');
   const [urlData, setUrlData] = useState(null);
   const [countdown, setCountdown] = useState(3);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [timeUntilLaunch, setTimeUntilLaunch] = useState(0);
 
   useEffect(() => {
     handleRedirect();
@@ -27,11 +51,26 @@ const RedirectHandler = () => {
     }
   }, [status, countdown, urlData]);
 
+  useEffect(() => {
+    if (status !== 'scheduled') return;
+
+    const timer = setInterval(() => {
+      const remaining = new Date(urlData.activatesAt) - new Date();
+      setTimeUntilLaunch(remaining);
+      if (remaining <= 0) {
+        clearInterval(timer);
+        logger.info('Scheduled short URL is now live', { shortCode });
+        handleRedirect();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [status, urlData]);
+
   const handleRedirect = async () => {
     try {
       logger.info('Attempting to redirect', { shortCode });
       
-      const url = urlService.getURLByShortCode(shortCode);
+      const url = await urlService.getURLByShortCode(shortCode);
       
       if (!url) {
         setStatus('notfound');
@@ -39,22 +78,106 @@ const RedirectHandler = () => {
         return;
       }
 
-      if (urlService.isURLExpired(url)) {
+      const linkStatus = urlService.getLinkStatus(url);
+      if (linkStatus === 'inactive') {
+        setStatus('inactive');
+        logger.warn('Short URL deactivated', { shortCode, deactivatedAt: url.deactivatedAt });
+        return;
+      }
+
+      if (linkStatus === 'blocked') {
+        const violation = urlService.getURLViolation(url.originalURL, url.shortCode);
+        setBlockedReason(violation.message);
+        setStatus('blocked');
+        logger.warn('Short URL destination blocked by policy', { shortCode, originalURL: url.originalURL, reason: violation.message });
+        return;
+      }
+
+      if (linkStatus === 'scheduled') {
+        setUrlData(url);
+        setTimeUntilLaunch(new Date(url.activatesAt) - new Date());
+        setStatus('scheduled');
+        logger.info('Short URL not active yet', { shortCode, activatesAt: url.activatesAt });
+        return;
+      }
+
+      if (linkStatus === 'expired') {
         setStatus('expired');
         logger.warn('Short URL expired', { shortCode, expiresAt: url.expiresAt });
         return;
       }
 
-      // Record the click
-      await urlService.recordClick(shortCode, 'direct');
-      
-      setUrlData(url);
-      setStatus('redirecting');
-      logger.info('Redirecting to original URL', { shortCode, originalURL: url.originalURL });
-      
+      if (linkStatus === 'limitReached') {
+        setStatus('limitReached');
+        logger.warn('Short URL click limit reached', { shortCode, maxClicks: url.maxClicks });
+        return;
+      }
+
+      if (urlService.isPasswordProtected(url)) {
+        setUrlData(url);
+        setStatus('password');
+        logger.info('Short URL requires a password', { shortCode });
+        return;
+      }
+
+      await startRedirect(url);
     } catch (error) {
       logger.error('Error during redirect', { shortCode, error: error.message });
-      setStatus('notfound');
+      handleRedirectError(error);
+    }
+  };
+
+  // The link can change between loading it and recording the click, so the
+  // service's error decides which page to show
+  const handleRedirectError = (error) => {
+    if (error.code === ERROR_CODES.BLOCKED_DESTINATION || error.code === ERROR_CODES.REDIRECT_LOOP) {
+      setBlockedReason(error.message);
+      setStatus('blocked');
+      return;
+    }
+    if (error.code === ERROR_CODES.NOT_YET_ACTIVE) {
+      setUrlData(current => ({ ...current, activatesAt: error.details.activatesAt }));
+      setTimeUntilLaunch(new Date(error.details.activatesAt) - new Date());
+      setStatus('scheduled');
+      return;
+    }
+    setStatus(ERROR_STATUSES[error.code] || 'notfound');
+  };
+
+  const startRedirect = async (url) => {
+    const { source, ...attribution } = resolveClickSource({
+      referrer: document.referrer,
+      url: window.location.href
+    });
+    await urlService.recordClick(shortCode, source, attribution);
+    
+    setUrlData(url);
+    setStatus('redirecting');
+    logger.info('Redirecting to original URL', { shortCode, originalURL: url.originalURL });
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setIsVerifying(true);
+    setPasswordError('');
+
+    try {
+      const valid = await urlService.verifyLinkPassword(shortCode, password);
+      if (!valid) {
+        setPasswordError('Incorrect password. Please try again.');
+        setPassword('');
+        return;
+      }
+      await startRedirect(urlData);
+    } catch (error) {
+      if (error.code === ERROR_CODES.PASSWORD_LOCKED) {
+        setPasswordError(`Too many failed attempts. Try again after ${new Date(error.details.lockedUntil).toLocaleTimeString()}.`);
+      } else {
+        logger.error('Error verifying password', { shortCode, error: error.message });
+        handleRedirectError(error);
+      }
+    } finally {
+      setIsVerifying(false);
     }
   };
 
@@ -111,6 +234,126 @@ const RedirectHandler = () => {
     );
   }
 
+  if (status === 'inactive') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center max-w-md mx-auto px-4"
+        >
+          <Ban className="w-16 h-16 text-red-400 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-white mb-4">Link Deactivated</h1>
+          <p className="text-white/80 mb-6">
+            This short URL has been turned off by its owner.
+          </p>
+        </motion.div>
+      </div>
+    );
+  }
+
+  if (status === 'blocked') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center max-w-md mx-auto px-4"
+        >
+          <ShieldAlert className="w-16 h-16 text-red-400 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-white mb-4">Destination Blocked</h1>
+          <p className="text-white/80 mb-6">
+            This short URL can't be followed. {blockedReason}.
+          </p>
+        </motion.div>
+      </div>
+    );
+  }
+
+  if (status === 'scheduled') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center max-w-md mx-auto px-4"
+        >
+          <CalendarClock className="w-16 h-16 text-blue-400 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-white mb-4">Not Yet Active</h1>
+          <p className="text-white/80 mb-6">
+            This short URL goes live on {new Date(urlData.activatesAt).toLocaleString()}.
+          </p>
+          <div className="bg-white/10 backdrop-blur-md rounded-lg p-4 border border-white/20">
+            <p className="text-white/70 text-sm mb-2">Launching in:</p>
+            <p className="text-white font-mono text-3xl">{formatCountdown(timeUntilLaunch)}</p>
+          </div>
+        </motion.div>
+      </div>
+    );
+  }
+
+  if (status === 'limitReached') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center max-w-md mx-auto px-4"
+        >
+          <Ban className="w-16 h-16 text-orange-400 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-white mb-4">Link Limit Reached</h1>
+          <p className="text-white/80 mb-6">
+            This short URL has already been used the maximum number of times and is no longer available.
+          </p>
+        </motion.div>
+      </div>
+    );
+  }
+
+  if (status === 'password') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center max-w-md w-full mx-auto px-4"
+        >
+          <Lock className="w-16 h-16 text-purple-300 mx-auto mb-4" />
+          <h1 className="text-3xl font-bold text-white mb-4">Password Required</h1>
+          <p className="text-white/80 mb-6">
+            This short URL is protected. Enter the password to continue.
+          </p>
+          <form onSubmit={handlePasswordSubmit} className="bg-white/10 backdrop-blur-md rounded-lg p-4 border border-white/20 space-y-4 text-left">
+            <div>
+              <Label htmlFor="link-password" className="text-white/80">
+                Password
+              </Label>
+              <Input
+                id="link-password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="bg-white/10 border-white/20 text-white placeholder:text-white/50"
+                autoFocus
+                required
+              />
+              {passwordError && (
+                <p className="text-sm text-red-400 mt-2">{passwordError}</p>
+              )}
+            </div>
+            <Button
+              type="submit"
+              disabled={isVerifying || !password}
+              className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-medium"
+            >
+              {isVerifying ? 'Checking...' : 'Continue'}
+            </Button>
+          </form>
+        </motion.div>
+      </div>
+    );
+  }
+
   if (status === 'redirecting') {
     return (
       <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
@@ -1,34 +1,97 @@
 
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
-import { BarChart3, Clock, MapPin, MousePointer, ExternalLink, Copy } from 'lucide-react';
+import { BarChart3, Bot, Clock, Folder, MapPin, Monitor, MousePointer, ExternalLink, Copy, Lock, Pencil, Power, QrCode, Smartphone, Tablet, Tag, Trash2, Users } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { toast } from '@/components/ui/use-toast';
+import EditURLDialog from '@/components/EditURLDialog';
+import QRCodeDialog from '@/components/QRCodeDialog';
+import ConfirmDialog from '@/components/ConfirmDialog';
+import DataTransferBar from '@/components/DataTransferBar';
+import ClickTimeline from '@/components/ClickTimeline';
+import ClickBreakdowns from '@/components/ClickBreakdowns';
+import StatisticsToolbar, { isFilteredView, readView, toQuery, writeView } from '@/components/StatisticsToolbar';
+import LinkGroups from '@/components/LinkGroups';
+import Pagination from '@/components/Pagination';
 import urlService from '@/services/urlService';
+import { describeLocation } from '@/services/geolocation';
+import { summarizeClicks } from '@/services/analytics';
 import logger from '@/middleware/logger';
 
+const LOCATION_SOURCE_LABELS = {
+  timezone: 'time zone',
+  'ip-range': 'IP database',
+  legacy: 'unverified'
+};
+
+const DEVICE_ICONS = {
+  desktop: Monitor,
+  mobile: Smartphone,
+  tablet: Tablet,
+  bot: Bot
+};
+
+const formatDevice = (click) => {
+  const browser = [click.browser, click.browserVersion?.split('.')[0]].filter(Boolean).join(' ');
+  const os = [click.os, click.osVersion].filter(Boolean).join(' ');
+  return [browser || 'Unknown browser', os || 'Unknown OS'].join(' · ');
+};
+
+const PAGE_SIZE = 10;
+
 const Statistics = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [urls, setUrls] = useState([]);
+  const [matchingURLs, setMatchingURLs] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [editingURL, setEditingURL] = useState(null);
+  const [qrURL, setQRURL] = useState(null);
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const [showPercentages, setShowPercentages] = useState(false);
+
+  const view = readView(searchParams);
+  const queryString = searchParams.toString();
 
   useEffect(() => {
     loadStatistics();
-  }, []);
+  }, [queryString]);
+
+  // Keep the page live while other tabs create links or record clicks
+  useEffect(() => {
+    const unsubscribe = urlService.subscribe(async (change) => {
+      await refreshURLs();
+      logger.debug('Statistics refreshed after change', change);
+    });
+    return unsubscribe;
+  }, [queryString]);
+
+  const refreshURLs = async () => {
+    const [allUrls, matching, allTags, allCampaigns] = await Promise.all([
+      urlService.getAllURLs(),
+      urlService.getAllURLs(toQuery(view)),
+      urlService.getAllTags(),
+      urlService.getAllCampaigns()
+    ]);
+    setUrls(allUrls);
+    setMatchingURLs(matching);
+    setTags(allTags);
+    setCampaigns(allCampaigns);
+    return matching;
+  };
 
-  const loadStatistics = () => {
-    setLoading(true);
+  const setView = (nextView) => {
+    setSearchParams(writeView(nextView), { replace: true });
+  };
+
+  const loadStatistics = async () => {
     try {
-      // Clean up expired URLs first
-      const deletedCount = urlService.deleteExpiredURLs();
-      if (deletedCount > 0) {
-        logger.info('Expired URLs cleaned up on statistics page load', { deletedCount });
-      }
-      
-      const allUrls = urlService.getAllURLs();
-      setUrls(allUrls);
-      logger.info('Statistics loaded', { urlCount: allUrls.length });
+      const matching = await refreshURLs();
+      logger.info('Statistics loaded', { matchingCount: matching.length, view });
     } catch (error) {
       logger.error('Failed to load statistics', error);
       toast({
@@ -59,41 +122,93 @@ const Statistics = () => {
     }
   };
 
+  const clearExpired = async () => {
+    try {
+      const deletedCount = await urlService.deleteExpiredURLs();
+      toast({
+        title: "Expired Links Deleted",
+        description: `${deletedCount} expired link${deletedCount === 1 ? '' : 's'} removed`
+      });
+    } catch (error) {
+      toast({
+        title: "Delete Failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      logger.error('Failed to delete expired URLs', { error: error.message });
+    }
+  };
+
+  const toggleActive = async (url) => {
+    const deactivating = !urlService.isURLDeactivated(url);
+    try {
+      if (deactivating) {
+        await urlService.deactivate(url.shortCode);
+      } else {
+        await urlService.reactivate(url.shortCode);
+      }
+      toast({
+        title: deactivating ? "Link Deactivated" : "Link Reactivated",
+        description: `${url.shortCode} is now ${deactivating ? 'off' : 'back on'}`
+      });
+    } catch (error) {
+      toast({
+        title: "Update Failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      logger.error('Failed to toggle short URL', { shortCode: url.shortCode, error: error.message });
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
 
-  const isExpired = (expiresAt) => {
-    return new Date() > new Date(expiresAt);
+  const getStatusColor = (url) => {
+    const status = urlService.getLinkStatus(url);
+    if (status === 'inactive') return 'text-gray-400';
+    if (status === 'blocked') return 'text-red-400';
+    if (status === 'scheduled') return 'text-blue-400';
+    if (status === 'expired') return 'text-red-400';
+    if (status === 'limitReached') return 'text-orange-400';
+    if (urlService.isURLExpiringSoon(url)) return 'text-yellow-400';
+    return 'text-green-400';
   };
 
-  const getStatusColor = (expiresAt) => {
-    if (isExpired(expiresAt)) return 'text-red-400';
-    
-    const now = new Date();
-    const expiry = new Date(expiresAt);
-    const diff = expiry - now;
+  const formatDuration = (diff) => {
     const minutes = Math.floor(diff / (1000 * 60));
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
     
-    if (minutes < 60) return 'text-yellow-400';
-    return 'text-green-400';
+    if (days > 0) return `${days}d ${hours % 24}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
   };
 
-  const getStatusText = (expiresAt) => {
-    if (isExpired(expiresAt)) return 'Expired';
-    
+  const getStatusText = (url) => {
+    const status = urlService.getLinkStatus(url);
+    if (status === 'inactive') return 'Deactivated';
+    if (status === 'blocked') return 'Blocked';
+    if (status === 'expired') return 'Expired';
+    if (status === 'limitReached') return 'Limit reached';
+
     const now = new Date();
-    const expiry = new Date(expiresAt);
-    const diff = expiry - now;
-    const minutes = Math.floor(diff / (1000 * 60));
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
+    if (status === 'scheduled') {
+      return `Scheduled · live in ${formatDuration(new Date(url.activatesAt) - now)}`;
+    }
     
-    if (days > 0) return `${days}d ${hours % 24}h remaining`;
-    if (hours > 0) return `${hours}h ${minutes % 60}m remaining`;
-    return `${minutes}m remaining`;
+    return `Live · ${formatDuration(new Date(url.expiresAt) - now)} remaining`;
   };
 
+  const allClicks = matchingURLs.flatMap(url => url.clicks || []);
+  const allTotals = summarizeClicks(allClicks);
+  const pageCount = Math.max(1, Math.ceil(matchingURLs.length / PAGE_SIZE));
+  const page = Math.min(view.page, pageCount);
+  const pageURLs = matchingURLs.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  const expiredCount = urls.filter(url => urlService.isURLExpired(url)).length;
+  const isFiltered = isFilteredView(view);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-slate-900 flex items-center justify-center">
@@ -114,7 +229,7 @@ const Statistics = () => {
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
-            className="text-center mb-8"
+            className="text-center mb-6"
           >
             <h1 className="text-4xl md:text-5xl font-bold text-white mb-4">
               URL Statistics
@@ -124,6 +239,74 @@ const Statistics = () => {
             </p>
           </motion.div>
 
+          <DataTransferBar urls={urls} />
+
+          {urls.length > 0 && (
+            <StatisticsToolbar view={view} onChange={setView} tags={tags} campaigns={campaigns} />
+          )}
+
+          {matchingURLs.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="mb-6"
+            >
+              <Card className="bg-white/10 backdrop-blur-md border-white/20">
+                <CardHeader>
+                  <CardTitle className="flex items-center justify-between text-white">
+                    <div className="flex items-center space-x-2">
+                      <BarChart3 className="w-5 h-5" />
+                      <span>{isFiltered ? `Matching Links (${matchingURLs.length})` : 'All Links'}</span>
+                    </div>
+                    <div className="flex items-center space-x-1 text-sm font-normal">
+                      {[false, true].map(percentages => (
+                        <Button
+                          key={String(percentages)}
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => setShowPercentages(percentages)}
+                          className={`text-white hover:bg-white/20 ${showPercentages === percentages ? 'bg-white/20' : 'text-white/70'}`}
+                        >
+                          {percentages ? 'Percentages' : 'Counts'}
+                        </Button>
+                      ))}
+                    </div>
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="grid grid-cols-3 gap-4">
+                    <div className="bg-white/5 p-3 rounded-lg text-center">
+                      <MousePointer className="w-6 h-6 text-blue-400 mx-auto mb-1" />
+                      <p className="text-2xl font-bold text-white">{allTotals.total}</p>
+                      <p className="text-white/70 text-sm">Total Clicks</p>
+                    </div>
+                    <div className="bg-white/5 p-3 rounded-lg text-center">
+                      <Users className="w-6 h-6 text-pink-400 mx-auto mb-1" />
+                      <p className="text-2xl font-bold text-white">{allTotals.uniqueVisitors}</p>
+                      <p className="text-white/70 text-sm">Unique Visitors</p>
+                    </div>
+                    <div className="bg-white/5 p-3 rounded-lg text-center">
+                      <Bot className="w-6 h-6 text-slate-300 mx-auto mb-1" />
+                      <p className="text-2xl font-bold text-white">{allTotals.botClicks}</p>
+                      <p className="text-white/70 text-sm">Bot Clicks</p>
+                    </div>
+                  </div>
+                  <ClickTimeline clicks={allClicks} idPrefix="all-links" />
+                  <ClickBreakdowns clicks={allClicks} showPercentages={showPercentages} />
+                </CardContent>
+              </Card>
+            </motion.div>
+          )}
+
+          {matchingURLs.length > 0 && (tags.length > 0 || campaigns.length > 0) && (
+            <LinkGroups
+              urls={matchingURLs}
+              grouping={view.group}
+              onGroupingChange={(group) => setView({ ...view, group })}
+              onSelect={(key) => setView({ ...view, page: 1, [view.group]: key })}
+            />
+          )}
+
           {urls.length === 0 ? (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
@@ -136,9 +319,30 @@ const Statistics = () => {
                 You haven't created any shortened URLs yet. Go to the URL Shortener page to get started!
               </p>
             </motion.div>
+          ) : matchingURLs.length === 0 ? (
+            <div className="text-center py-12">
+              <h2 className="text-2xl font-bold text-white mb-2">No Matching Links</h2>
+              <p className="text-white/70">Try a different search or clear the filters.</p>
+            </div>
           ) : (
             <div className="space-y-6">
-              {urls.map((url, index) => (
+              <div className="flex items-center justify-between text-sm text-white/70">
+                <span>
+                  Showing {(page - 1) * PAGE_SIZE + 1}–{(page - 1) * PAGE_SIZE + pageURLs.length} of {matchingURLs.length}
+                </span>
+                {expiredCount > 0 && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setConfirmingClear(true)}
+                    className="flex items-center space-x-1 text-white/70 hover:text-white hover:bg-white/10"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Delete {expiredCount} expired</span>
+                  </Button>
+                )}
+              </div>
+              {pageURLs.map((url, index) => (
                 <motion.div
                   key={url.id}
                   initial={{ opacity: 0, y: 20 }}
@@ -151,14 +355,63 @@ const Statistics = () => {
                         <div className="flex items-center space-x-2">
                           <BarChart3 className="w-5 h-5" />
                           <span className="truncate">{url.shortCode}</span>
+                          {urlService.isPasswordProtected(url) && (
+                            <Lock className="w-4 h-4 text-purple-300" aria-label="Password protected" />
+                          )}
                         </div>
-                        <div className={`flex items-center space-x-1 text-sm ${getStatusColor(url.expiresAt)}`}>
-                          <Clock className="w-4 h-4" />
-                          <span>{getStatusText(url.expiresAt)}</span>
+                        <div className="flex items-center space-x-2">
+                          <div className={`flex items-center space-x-1 text-sm ${getStatusColor(url)}`}>
+                            <Clock className="w-4 h-4" />
+                            <span>{getStatusText(url)}</span>
+                          </div>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setEditingURL(url)}
+                            className="text-white/70 hover:text-white hover:bg-white/10"
+                            aria-label="Edit link"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => toggleActive(url)}
+                            className={urlService.isURLDeactivated(url) ? 'text-green-400 hover:text-green-300 hover:bg-white/10' : 'text-red-400 hover:text-red-300 hover:bg-red-500/10'}
+                            aria-label={urlService.isURLDeactivated(url) ? 'Reactivate link' : 'Deactivate link'}
+                          >
+                            <Power className="w-4 h-4" />
+                          </Button>
                         </div>
                       </CardTitle>
                     </CardHeader>
                     <CardContent className="space-y-6">
+                      {(url.campaign || url.tags?.length > 0) && (
+                        <div className="flex flex-wrap items-center gap-2 text-sm">
+                          {url.campaign && (
+                            <button
+                              type="button"
+                              onClick={() => setView({ ...view, page: 1, campaign: url.campaign })}
+                              className="flex items-center space-x-1 rounded bg-white/10 px-2 py-0.5 text-white hover:bg-white/20"
+                            >
+                              <Folder className="w-3 h-3" />
+                              <span>{url.campaign}</span>
+                            </button>
+                          )}
+                          {(url.tags || []).map(tag => (
+                            <button
+                              key={tag}
+                              type="button"
+                              onClick={() => setView({ ...view, page: 1, tag })}
+                              className="flex items-center space-x-1 rounded bg-purple-500/30 px-2 py-0.5 text-white hover:bg-purple-500/50"
+                            >
+                              <Tag className="w-3 h-3" />
+                              <span>{tag}</span>
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
                       {/* URL Information */}
                       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
                         <div>
@@ -200,22 +453,53 @@ const Statistics = () => {
                             >
                               <ExternalLink className="w-4 h-4" />
                             </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setQRURL(url)}
+                              className="text-white/70 hover:text-white hover:bg-white/10"
+                              aria-label="Show QR code"
+                            >
+                              <QrCode className="w-4 h-4" />
+                            </Button>
                           </div>
                         </div>
                       </div>
 
                       {/* Statistics Summary */}
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
                         <div className="bg-white/5 p-3 rounded-lg text-center">
                           <MousePointer className="w-6 h-6 text-blue-400 mx-auto mb-1" />
                           <p className="text-2xl font-bold text-white">{url.totalClicks}</p>
                           <p className="text-white/70 text-sm">Total Clicks</p>
+                          {url.maxClicks && (
+                            <p className="text-white/50 text-xs mt-1">
+                              {urlService.getRemainingClicks(url)} of {url.maxClicks} uses left
+                            </p>
+                          )}
+                        </div>
+
+                        <div className="bg-white/5 p-3 rounded-lg text-center">
+                          <Users className="w-6 h-6 text-pink-400 mx-auto mb-1" />
+                          <p className="text-2xl font-bold text-white">{summarizeClicks(url.clicks || []).uniqueVisitors}</p>
+                          <p className="text-white/70 text-sm">Unique Visitors</p>
+                        </div>
+
+                        <div className="bg-white/5 p-3 rounded-lg text-center">
+                          <Bot className="w-6 h-6 text-slate-300 mx-auto mb-1" />
+                          <p className="text-2xl font-bold text-white">{summarizeClicks(url.clicks || []).botClicks}</p>
+                          <p className="text-white/70 text-sm">Bot Clicks</p>
                         </div>
                         
                         <div className="bg-white/5 p-3 rounded-lg text-center">
                           <Clock className="w-6 h-6 text-green-400 mx-auto mb-1" />
                           <p className="text-lg font-bold text-white">{formatDate(url.createdAt).split(',')[0]}</p>
                           <p className="text-white/70 text-sm">Created</p>
+                          {url.activatesAt && (
+                            <p className="text-white/50 text-xs mt-1">
+                              Goes live {formatDate(url.activatesAt)}
+                            </p>
+                          )}
                         </div>
                         
                         <div className="bg-white/5 p-3 rounded-lg text-center">
@@ -231,6 +515,20 @@ const Statistics = () => {
                         </div>
                       </div>
 
+                      {/* Clicks Over Time */}
+                      {url.clicks && url.clicks.length > 0 && (
+                        <div className="mb-6">
+                          <ClickTimeline clicks={url.clicks} idPrefix={`timeline-${url.shortCode}`} />
+                        </div>
+                      )}
+
+                      {/* Breakdowns */}
+                      {url.clicks && url.clicks.length > 0 && (
+                        <div className="mb-6">
+                          <ClickBreakdowns clicks={url.clicks} showPercentages={showPercentages} />
+                        </div>
+                      )}
+
                       {/* Click Details */}
                       {url.clicks && url.clicks.length > 0 && (
                         <div>
@@ -239,28 +537,50 @@ const Statistics = () => {
                             <span>Click Details</span>
                           </h3>
                           <div className="space-y-2 max-h-60 overflow-y-auto">
-                            {url.clicks.map((click, clickIndex) => (
-                              <div
-                                key={click.id}
-                                className="bg-white/5 p-3 rounded-lg flex items-center justify-between text-sm"
-                              >
-                                <div className="flex items-center space-x-4">
-                                  <div>
-                                    <p className="text-white font-medium">
-                                      {formatDate(click.timestamp)}
-                                    </p>
-                                    <p className="text-white/70">Source: {click.source}</p>
+                            {url.clicks.map((click, clickIndex) => {
+                              const location = describeLocation(click.location);
+                              const DeviceIcon = DEVICE_ICONS[click.deviceType] || Monitor;
+                              return (
+                                <div
+                                  key={click.id}
+                                  className="bg-white/5 p-3 rounded-lg flex items-center justify-between text-sm"
+                                >
+                                  <div className="flex items-center space-x-4">
+                                    <div>
+                                      <p className="text-white font-medium">
+                                        {formatDate(click.timestamp)}
+                                      </p>
+                                      <p className="text-white/70">
+                                        Source: {click.source}
+                                        {click.referrerHost && ` · ${click.referrerHost}`}
+                                        {click.utm?.campaign && ` · ${click.utm.campaign}`}
+                                      </p>
+                                    </div>
+                                    <div className="flex items-center space-x-1 text-white/70" title={click.userAgent || undefined}>
+                                      <DeviceIcon className="w-4 h-4" />
+                                      <div>
+                                        <p>{formatDevice(click)}</p>
+                                        <p className="text-white/50 text-xs">
+                                          {click.isBot ? 'Bot' : click.deviceType || 'Unknown device'}
+                                        </p>
+                                      </div>
+                                    </div>
+                                    <div className="flex items-center space-x-1 text-white/70">
+                                      <MapPin className="w-4 h-4" />
+                                      <div>
+                                        <p>{location.label}</p>
+                                        <p className="text-white/50 text-xs">
+                                          via {LOCATION_SOURCE_LABELS[location.source] || location.source} · {location.confidence} confidence
+                                        </p>
+                                      </div>
+                                    </div>
                                   </div>
-                                  <div className="flex items-center space-x-1 text-white/70">
-                                    <MapPin className="w-4 h-4" />
-                                    <span>{click.location}</span>
+                                  <div className="text-white/50 text-xs">
+                                    #{clickIndex + 1}
                                   </div>
                                 </div>
-                                <div className="text-white/50 text-xs">
-                                  #{clickIndex + 1}
-                                </div>
-                              </div>
-                            ))}
+                              );
+                            })}
                           </div>
                         </div>
                       )}
@@ -268,10 +588,35 @@ const Statistics = () => {
                   </Card>
                 </motion.div>
               ))}
+              <Pagination
+                page={page}
+                pageCount={pageCount}
+                onPageChange={(nextPage) => setView({ ...view, page: nextPage })}
+              />
             </div>
           )}
         </div>
       </div>
+
+      <EditURLDialog
+        url={editingURL}
+        open={Boolean(editingURL)}
+        onOpenChange={(open) => !open && setEditingURL(null)}
+      />
+      <QRCodeDialog
+        url={qrURL}
+        open={Boolean(qrURL)}
+        onOpenChange={(open) => !open && setQRURL(null)}
+      />
+      <ConfirmDialog
+        open={confirmingClear}
+        onOpenChange={setConfirmingClear}
+        title={`Delete ${expiredCount} expired link${expiredCount === 1 ? '' : 's'}?`}
+        description="Their click history is deleted with them. This can't be undone; export a backup first if you may need it."
+        confirmLabel="Delete"
+        pendingLabel="Deleting..."
+        onConfirm={clearExpired}
+      />
     </>
   );
 };
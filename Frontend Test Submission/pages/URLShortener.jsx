@@ -4,6 +4,7 @@ import { Helmet } from 'react-helmet';
 import { motion } from 'framer-motion';
 import URLForm from '@/components/URLForm';
 import URLResults from '@/components/URLResults';
+import BulkImport from '@/components/BulkImport';
 import logger from '@/middleware/logger';
 
 const URLShortener = () => {
@@ -45,6 +46,15 @@ const URLShortener = () => {
             <URLForm onURLsCreated={handleURLsCreated} />
           </motion.div>
 
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.3 }}
+            className="mb-8"
+          >
+            <BulkImport onURLsCreated={handleURLsCreated} />
+          </motion.div>
+
           {recentURLs.length > 0 && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
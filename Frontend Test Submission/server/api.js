@@ -0,0 +1,164 @@
+import { URLServiceError, ERROR_CODES } from '../services/errors.js';
+import logger from '../middleware/logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const COLLECTION_PATH = /^\/api\/urls\/?$/;
+const ITEM_PATH = /^\/api\/urls\/([^/]+)\/?$/;
+
+const STATUS_BY_CODE = {
+  [ERROR_CODES.INVALID_URL]: 400,
+  [ERROR_CODES.BLOCKED_DESTINATION]: 400,
+  [ERROR_CODES.REDIRECT_LOOP]: 400,
+  [ERROR_CODES.INVALID_VALIDITY]: 400,
+  [ERROR_CODES.INVALID_SHORT_CODE]: 400,
+  [ERROR_CODES.INVALID_DOMAIN]: 400,
+  [ERROR_CODES.INVALID_MAX_CLICKS]: 400,
+  [ERROR_CODES.INVALID_ACTIVATION]: 400,
+  [ERROR_CODES.INVALID_TAGS]: 400,
+  [ERROR_CODES.INVALID_CAMPAIGN]: 400,
+  [ERROR_CODES.INVALID_ACTIVE]: 400,
+  [ERROR_CODES.BATCH_INVALID]: 400,
+  [ERROR_CODES.INVALID_PASSWORD]: 400,
+  [ERROR_CODES.PASSWORD_REQUIRED]: 401,
+  [ERROR_CODES.PASSWORD_LOCKED]: 429,
+  [ERROR_CODES.SHORT_CODE_EXISTS]: 409,
+  [ERROR_CODES.SHORT_CODE_RESERVED]: 409,
+  [ERROR_CODES.SHORT_CODE_UNAVAILABLE]: 503,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.EXPIRED]: 410,
+  [ERROR_CODES.NOT_YET_ACTIVE]: 403,
+  [ERROR_CODES.DEACTIVATED]: 410,
+  [ERROR_CODES.CLICK_LIMIT_REACHED]: 410
+};
+
+class APIError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const sendError = (res, status, code, message, details = null) => {
+  sendJSON(res, status, { error: { code, message, ...(details && { details }) } });
+};
+
+async function readJSONBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new APIError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) return {};
+
+  try {
+    const body = JSON.parse(raw);
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('Body must be a JSON object');
+    }
+    return body;
+  } catch {
+    throw new APIError(400, 'INVALID_JSON', 'Request body must be a JSON object');
+  }
+}
+
+const decodeShortCode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new APIError(400, ERROR_CODES.INVALID_SHORT_CODE, 'Shortcode in the path is not valid URL encoding');
+  }
+};
+
+const toResource = (urlService, urlData, { includeClicks = true } = {}) => {
+  const { clicks, passwordHash, failedPasswordAttempts, passwordLockedUntil, ...link } = urlData;
+  const resource = {
+    ...link,
+    passwordProtected: Boolean(passwordHash),
+    remainingClicks: urlService.getRemainingClicks(urlData)
+  };
+  return includeClicks ? { ...resource, clicks } : resource;
+};
+
+async function routeRequest(req, res, urlService, pathname) {
+  if (COLLECTION_PATH.test(pathname)) {
+    if (req.method === 'GET') {
+      const { searchParams } = new URL(req.url, 'http://localhost');
+      const urls = await urlService.getAllURLs({
+        search: searchParams.get('search') || '',
+        tags: searchParams.getAll('tag'),
+        campaign: searchParams.get('campaign') || ''
+      });
+      sendJSON(res, 200, { urls: urls.map(url => toResource(urlService, url, { includeClicks: false })) });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const { originalURL, customShortCode = null, validityMinutes = 30, ...options } = await readJSONBody(req);
+      const urlData = await urlService.createShortURL(originalURL, customShortCode || null, validityMinutes, options);
+      sendJSON(res, urlData.reused ? 200 : 201, toResource(urlService, urlData));
+      return;
+    }
+
+    throw new APIError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${pathname}`);
+  }
+
+  const match = pathname.match(ITEM_PATH);
+  if (!match) {
+    throw new APIError(404, ERROR_CODES.NOT_FOUND, 'Unknown API endpoint');
+  }
+
+  const shortCode = decodeShortCode(match[1]);
+
+  if (req.method === 'GET') {
+    const urlData = await urlService.getURLByShortCode(shortCode);
+    if (!urlData) {
+      throw new APIError(404, ERROR_CODES.NOT_FOUND, 'URL not found');
+    }
+    sendJSON(res, 200, toResource(urlService, urlData));
+    return;
+  }
+
+  if (req.method === 'PATCH') {
+    // One update, so a request with any invalid field changes nothing
+    const urlData = await urlService.updateURL(shortCode, await readJSONBody(req));
+    sendJSON(res, 200, toResource(urlService, urlData));
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    await urlService.deleteURL(shortCode);
+    res.writeHead(204).end();
+    return;
+  }
+
+  throw new APIError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${pathname}`);
+}
+
+export function createAPIHandler(urlService) {
+  return async (req, res, pathname) => {
+    try {
+      await routeRequest(req, res, urlService, pathname);
+    } catch (error) {
+      if (error instanceof APIError) {
+        sendError(res, error.status, error.code, error.message);
+      } else if (error instanceof URLServiceError) {
+        sendError(res, STATUS_BY_CODE[error.code] || 400, error.code, error.message, error.details);
+      } else {
+        logger.error('API request failed', { method: req.method, pathname, error: error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+      }
+    }
+  };
+}
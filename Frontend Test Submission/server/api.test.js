@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { URLService } from '../services/urlService.js';
+import { MemoryStorage } from '../services/storage/index.js';
+import { createServer } from './app.js';
+
+const startServer = async () => {
+  const urlService = new URLService(new MemoryStorage(), null);
+  const server = createServer({ urlService }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { urlService, server, baseURL: `http://127.0.0.1:${server.address().port}` };
+};
+
+const sendJSON = (url, method, body) => fetch(url, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('POST /api/urls rejects tags that are not a list with 400', async (t) => {
+  const { urlService, server, baseURL } = await startServer();
+  t.after(() => server.close());
+
+  const res = await sendJSON(`${baseURL}/api/urls`, 'POST', { originalURL: 'https://example.com/', tags: 'x' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'INVALID_TAGS');
+  assert.equal((await urlService.getAllURLs()).length, 0);
+});
+
+test('PATCH /api/urls/:code rejects tags that are not a list with 400', async (t) => {
+  const { urlService, server, baseURL } = await startServer();
+  t.after(() => server.close());
+  await urlService.createShortURL('https://example.com/', 'promo', 30, { tags: ['launch'] });
+
+  const res = await sendJSON(`${baseURL}/api/urls/promo`, 'PATCH', { tags: [1, 2] });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'INVALID_TAGS');
+  assert.deepEqual((await urlService.getURLByShortCode('promo')).tags, ['launch']);
+});
+
+test('POST /api/urls stores normalized tags', async (t) => {
+  const { server, baseURL } = await startServer();
+  t.after(() => server.close());
+
+  const res = await sendJSON(`${baseURL}/api/urls`, 'POST', { originalURL: 'https://example.com/', tags: [' Launch ', 'launch'] });
+  assert.equal(res.status, 201);
+  assert.deepEqual((await res.json()).tags, ['launch']);
+});
+
+test('POST and PATCH reject a domain that is not text with 400', async (t) => {
+  const { urlService, server, baseURL } = await startServer();
+  t.after(() => server.close());
+  await urlService.createShortURL('https://example.com/', 'promo', 30);
+
+  const created = await sendJSON(`${baseURL}/api/urls`, 'POST', { originalURL: 'https://example.com/', domain: 5 });
+  assert.equal(created.status, 400);
+  assert.equal((await created.json()).error.code, 'INVALID_DOMAIN');
+
+  const updated = await sendJSON(`${baseURL}/api/urls/promo`, 'PATCH', { domain: { host: 'x' } });
+  assert.equal(updated.status, 400);
+  assert.equal((await updated.json()).error.code, 'INVALID_DOMAIN');
+});
+
+test('PATCH /api/urls/:code rejects active values that are not booleans', async (t) => {
+  const { urlService, server, baseURL } = await startServer();
+  t.after(() => server.close());
+  await urlService.createShortURL('https://example.com/', 'promo', 30);
+
+  const res = await sendJSON(`${baseURL}/api/urls/promo`, 'PATCH', { active: 'false' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'INVALID_ACTIVE');
+  assert.equal((await urlService.getURLByShortCode('promo')).deactivatedAt ?? null, null);
+});
+
+test('DELETE /api/urls/:code answers 204 without a body or content type', async (t) => {
+  const { urlService, server, baseURL } = await startServer();
+  t.after(() => server.close());
+  await urlService.createShortURL('https://example.com/', 'promo', 30);
+
+  const res = await fetch(`${baseURL}/api/urls/promo`, { method: 'DELETE' });
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('content-type'), null);
+  assert.equal(await res.text(), '');
+});
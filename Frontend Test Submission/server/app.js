@@ -0,0 +1,262 @@
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { createAPIHandler } from './api.js';
+import { URLServiceError, ERROR_CODES } from '../services/errors.js';
+import { clientHintsFromHeaders } from '../services/userAgent.js';
+import { resolveClickSource } from '../services/clickSource.js';
+import { serverVisitorId } from './visitorId.js';
+import { API_PREFIX, APP_ROUTES } from '../services/routes.js';
+import logger from '../middleware/logger.js';
+
+// Any single path segment; the shortcode policy decides what resolves
+const SHORT_CODE_PATH = /^\/([^/]+)\/?$/;
+const MAX_FORM_BYTES = 16 * 1024;
+
+// Malformed escapes (e.g. "%E0%A4%A") decode to null rather than throwing
+const decodePath = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+const sendText = (res, status, message) => {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+};
+
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+const sendPasswordPage = (res, status, shortCode, message = '') => {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(`<!doctype html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Password required</title></head>
+<body>
+  <h1>Password required</h1>
+  ${message ? `<p role="alert">${escapeHTML(message)}</p>` : ''}
+  <form method="POST" action="/${escapeHTML(shortCode)}">
+    <label>Password <input type="password" name="password" autofocus required></label>
+    <button type="submit">Continue</button>
+  </form>
+</body>
+</html>`);
+};
+
+async function readFormBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_FORM_BYTES) break;
+  }
+  return new URLSearchParams(body.slice(0, MAX_FORM_BYTES));
+}
+
+async function serveFile(res, filePath) {
+  try {
+    const contents = await fs.readFile(filePath);
+    const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(contents);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function serveStatic(req, res, distDir) {
+  if (!distDir) return false;
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (APP_ROUTES.includes(pathname)) {
+    return serveFile(res, path.join(distDir, 'index.html'));
+  }
+
+  const decoded = decodePath(pathname);
+  if (decoded === null) return false;
+
+  const filePath = path.join(distDir, path.normalize(decoded));
+  if (!filePath.startsWith(distDir)) return false;
+  return serveFile(res, filePath);
+}
+
+// Behind a reverse proxy the socket address is the proxy's own; only then is
+// the left-most X-Forwarded-For entry the visitor.
+const clientIP = (req, trustProxy) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || null;
+};
+
+async function handleRedirect(req, res, urlService, shortCode, { redirectStatus, trustProxy, staticDir }) {
+  const urlData = await urlService.getURLByShortCode(shortCode);
+
+  if (!urlData) {
+    // Links created in the browser app live in that browser's own storage,
+    // which this server cannot see. Hand unknown codes to the app so it can
+    // resolve them there.
+    if (req.method === 'GET' && staticDir && await serveFile(res, path.join(staticDir, 'index.html'))) {
+      logger.info('Unknown short code handed to the app', { shortCode });
+      return;
+    }
+    sendText(res, 404, 'Short URL not found');
+    return;
+  }
+
+  const linkStatus = urlService.getLinkStatus(urlData);
+  if (linkStatus === 'inactive') {
+    logger.warn('Short URL deactivated', { shortCode, deactivatedAt: urlData.deactivatedAt });
+    sendText(res, 410, 'Short URL has been deactivated');
+    return;
+  }
+
+  if (linkStatus === 'blocked') {
+    const violation = urlService.getURLViolation(urlData.originalURL, shortCode);
+    logger.warn('Short URL destination blocked by policy', { shortCode, originalURL: urlData.originalURL, reason: violation.message });
+    sendText(res, 403, `Short URL destination is not allowed: ${violation.message}`);
+    return;
+  }
+
+  if (linkStatus === 'scheduled') {
+    logger.warn('Short URL not active yet', { shortCode, activatesAt: urlData.activatesAt });
+    sendText(res, 403, `Short URL goes live at ${urlData.activatesAt}`);
+    return;
+  }
+
+  if (linkStatus === 'expired') {
+    logger.warn('Short URL expired', { shortCode, expiresAt: urlData.expiresAt });
+    sendText(res, 410, 'Short URL has expired');
+    return;
+  }
+
+  if (linkStatus === 'limitReached') {
+    logger.warn('Short URL click limit reached', { shortCode, maxClicks: urlData.maxClicks });
+    sendText(res, 410, 'Short URL has reached its click limit');
+    return;
+  }
+
+  if (urlService.isPasswordProtected(urlData)) {
+    if (req.method !== 'POST') {
+      sendPasswordPage(res, 401, shortCode);
+      return;
+    }
+
+    try {
+      const form = await readFormBody(req);
+      const visitorKey = clientIP(req, trustProxy);
+      if (!(await urlService.verifyLinkPassword(shortCode, form.get('password'), { visitorKey }))) {
+        sendPasswordPage(res, 401, shortCode, 'Incorrect password');
+        return;
+      }
+    } catch (error) {
+      if (error instanceof URLServiceError && error.code === ERROR_CODES.PASSWORD_LOCKED) {
+        sendPasswordPage(res, 429, shortCode, error.message);
+        return;
+      }
+      throw error;
+    }
+  } else if (req.method === 'POST') {
+    sendText(res, 405, 'Method not allowed');
+    return;
+  }
+
+  // HEAD requests come from link checkers and unfurlers probing the target;
+  // only a GET (or an unlocked password form) counts as a click.
+  if (req.method !== 'HEAD') {
+    try {
+      const { source, ...attribution } = resolveClickSource({
+        referrer: req.headers.referer || '',
+        url: `http://${req.headers.host || 'localhost'}${req.url}`
+      });
+      const ip = clientIP(req, trustProxy);
+      const userAgent = req.headers['user-agent'] || null;
+      await urlService.recordClick(shortCode, source, {
+        ...attribution,
+        userAgent,
+        clientHints: clientHintsFromHeaders(req.headers),
+        ip,
+        visitorId: serverVisitorId(ip, userAgent),
+        language: req.headers['accept-language']?.split(',')[0] || null
+      });
+    } catch (error) {
+      // Another request may have used up the last click in the meantime
+      if (error instanceof URLServiceError && error.code === ERROR_CODES.CLICK_LIMIT_REACHED) {
+        sendText(res, 410, 'Short URL has reached its click limit');
+        return;
+      }
+      throw error;
+    }
+  }
+
+  // A redirect after a form POST must be 303 so the browser follows it with GET
+  const status = req.method === 'POST' ? 303 : redirectStatus;
+  logger.info('Redirecting to original URL', { shortCode, originalURL: urlData.originalURL, status });
+  res.writeHead(status, {
+    Location: urlData.originalURL,
+    'Cache-Control': status === 301 ? 'public, max-age=300' : 'no-store'
+  });
+  res.end();
+}
+
+export function createRequestHandler({ urlService, distDir = null, redirectStatus = 302, trustProxy = false }) {
+  const staticDir = distDir ? path.resolve(distDir) : null;
+  const handleAPI = createAPIHandler(urlService);
+
+  return async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`)) {
+        await handleAPI(req, res, pathname);
+        return;
+      }
+
+      if (!['GET', 'HEAD', 'POST'].includes(req.method)) {
+        sendText(res, 405, 'Method not allowed');
+        return;
+      }
+
+      if (req.method !== 'POST' && await serveStatic(req, res, staticDir)) return;
+
+      const match = pathname.match(SHORT_CODE_PATH);
+      const shortCode = match && decodePath(match[1]);
+      if (!shortCode) {
+        sendText(res, 404, 'Not found');
+        return;
+      }
+
+      await handleRedirect(req, res, urlService, shortCode, { redirectStatus, trustProxy, staticDir });
+    } catch (error) {
+      logger.error('Request failed', { url: req.url, error: error.message });
+      if (!res.headersSent) {
+        sendText(res, 500, 'Internal server error');
+      } else {
+        res.end();
+      }
+    }
+  };
+}
+
+export function createServer(options) {
+  return http.createServer(createRequestHandler(options));
+}
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { setTimeout as delay } from 'node:timers/promises';
+import { URLService } from '../services/urlService.js';
+import { MemoryStorage } from '../services/storage/index.js';
+import { createServer } from './app.js';
+
+// Reads that take a while to come back, like a real store, so clicks
+// recorded without the write lock would all see the same count
+class SlowStorage extends MemoryStorage {
+  async getClicks(shortCode) {
+    const clicks = await super.getClicks(shortCode);
+    await delay(20);
+    return clicks;
+  }
+}
+
+test('concurrent redirects never use a click limit more than once', async (t) => {
+  const urlService = new URLService(new SlowStorage(), null);
+  const server = createServer({ urlService }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  await urlService.createShortURL('https://example.com/', 'once', 30, { maxClicks: 1 });
+
+  const baseURL = `http://127.0.0.1:${server.address().port}`;
+  const responses = await Promise.all([1, 2, 3].map(n => fetch(`${baseURL}/once`, {
+    redirect: 'manual',
+    headers: { 'User-Agent': `Mozilla/5.0 (X11; Linux x86_64) Firefox/12${n}.0` }
+  })));
+
+  assert.deepEqual(responses.map(res => res.status).sort(), [302, 410, 410]);
+  assert.equal((await urlService.storage.getClicks('once')).length, 1);
+  assert.equal((await urlService.getURLByShortCode('once')).totalClicks, 1);
+});
+
+test('password lockout only shuts out the caller who kept guessing', async (t) => {
+  const urlService = new URLService(new MemoryStorage(), null);
+  const server = createServer({ urlService, trustProxy: true }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  await urlService.createShortURL('https://example.com/', 'secret', 30, { password: 'hunter2' });
+
+  const baseURL = `http://127.0.0.1:${server.address().port}`;
+  const submit = (ip, password) => fetch(`${baseURL}/secret`, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { 'X-Forwarded-For': ip },
+    body: new URLSearchParams({ password })
+  });
+
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    statuses.push((await submit('203.0.113.9', 'wrong')).status);
+  }
+  assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429]);
+  assert.equal((await submit('203.0.113.9', 'hunter2')).status, 429);
+  assert.equal((await submit('198.51.100.4', 'hunter2')).status, 303);
+});
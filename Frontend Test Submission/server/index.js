@@ -0,0 +1,48 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { URLService } from '../services/urlService.js';
+import { MemoryStorage } from '../services/storage/index.js';
+import JSONFileStorage from './jsonFileStorage.js';
+import IPRangeGeolocationProvider from './ipRangeGeolocation.js';
+import { createServer } from './app.js';
+import logger from '../middleware/logger.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const config = {
+  port: Number(process.env.PORT) || 3000,
+  // The REST API has no authentication, so only local clients reach it unless
+  // HOST says otherwise
+  host: process.env.HOST || '127.0.0.1',
+  storage: process.env.STORAGE === 'memory' ? 'memory' : 'file',
+  dataFile: process.env.DATA_FILE || path.join(rootDir, 'data', 'urls.json'),
+  distDir: process.env.DIST_DIR || path.join(rootDir, 'dist'),
+  redirectStatus: process.env.REDIRECT_STATUS === '301' ? 301 : 302,
+  geoIPFile: process.env.GEOIP_DB_FILE || null,
+  trustProxy: process.env.TRUST_PROXY === 'true'
+};
+
+const storage = config.storage === 'memory'
+  ? new MemoryStorage()
+  : new JSONFileStorage(config.dataFile);
+
+if (!config.geoIPFile) {
+  logger.error('GEOIP_DB_FILE is not set. Point it at an IP range database (see README).');
+  process.exit(1);
+}
+
+const geolocation = await new IPRangeGeolocationProvider(config.geoIPFile).load();
+
+const urlService = new URLService(storage, null, geolocation);
+await urlService.ready;
+
+const server = createServer({
+  urlService,
+  distDir: config.distDir,
+  redirectStatus: config.redirectStatus,
+  trustProxy: config.trustProxy
+});
+
+server.listen(config.port, config.host, () => {
+  logger.info('Redirect server listening', config);
+});
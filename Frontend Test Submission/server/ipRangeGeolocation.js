@@ -0,0 +1,131 @@
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import { parseDelimited } from '../lib/csv.js';
+import { unknownLocation } from '../services/geolocation/index.js';
+import logger from '../middleware/logger.js';
+
+// Clients on dual-stack sockets show up as "::ffff:203.0.113.7"
+const unmapIPv4 = (ip) => ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+const expandIPv6 = (ip) => {
+  const [head, tail = ''] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = ip.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  return [...headParts, ...Array(ip.includes('::') ? missing : 0).fill('0'), ...tailParts];
+};
+
+export function parseIP(value) {
+  const ip = unmapIPv4(String(value || '').trim());
+  const family = net.isIP(ip);
+
+  if (family === 4) {
+    const number = ip.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+    return { family, number };
+  }
+  if (family === 6) {
+    const number = expandIPv6(ip).reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { family, number };
+  }
+  return null;
+}
+
+// Without a header row, files are read as `start,end,country,region,city`,
+// which also covers the common country-only `start,end,country` exports
+const DEFAULT_COLUMNS = { start: 0, end: 1, country: 2, region: 3, city: 4 };
+
+// Resolves client IPs against a local CSV of ranges, with or without the
+// header `start,end,country,region,city`. Ranges are kept sorted per address
+// family and searched by bisection, so large databases stay fast to query.
+// A file without any country data is refused, since it would leave every
+// click unlocated.
+class IPRangeGeolocationProvider {
+  constructor(filePath) {
+    this.name = 'ip-range';
+    this.filePath = filePath;
+    this.ranges = null;
+  }
+
+  async load() {
+    const contents = await fs.readFile(this.filePath, 'utf8');
+    const [first = [], ...rest] = parseDelimited(contents, ',');
+    const hasHeader = !parseIP(first[0]);
+    const rows = hasHeader ? rest : [first, ...rest];
+    const column = hasHeader
+      ? Object.fromEntries(first.map((name, index) => [name.trim().toLowerCase(), index]))
+      : DEFAULT_COLUMNS;
+
+    const ranges = { 4: [], 6: [] };
+    rows.forEach(row => {
+      const start = parseIP(row[column.start]);
+      const end = parseIP(row[column.end]);
+      if (!start || !end || start.family !== end.family) return;
+
+      ranges[start.family].push({
+        start: start.number,
+        end: end.number,
+        country: row[column.country]?.trim().toUpperCase() || null,
+        region: row[column.region]?.trim() || null,
+        city: row[column.city]?.trim() || null
+      });
+    });
+
+    Object.values(ranges).forEach(list => list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0)));
+    if (![...ranges[4], ...ranges[6]].some(range => range.country)) {
+      const error = `IP range database ${this.filePath} has no country data`;
+      logger.error(error, { ipv4Ranges: ranges[4].length, ipv6Ranges: ranges[6].length });
+      throw new Error(error);
+    }
+
+    this.ranges = ranges;
+    logger.info('IP range database loaded', {
+      filePath: this.filePath,
+      ipv4Ranges: ranges[4].length,
+      ipv6Ranges: ranges[6].length
+    });
+    return this;
+  }
+
+  findRange(ip) {
+    const list = this.ranges[ip.family];
+    let low = 0;
+    let high = list.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const range = list[middle];
+      if (ip.number < range.start) {
+        high = middle - 1;
+      } else if (ip.number > range.end) {
+        low = middle + 1;
+      } else {
+        return range;
+      }
+    }
+    return null;
+  }
+
+  async locate(context = {}) {
+    if (!this.ranges) {
+      await this.load();
+    }
+
+    const ip = parseIP(context.ip);
+    const range = ip && this.findRange(ip);
+    if (!range) {
+      // Visitor IPs stay out of the logs
+      logger.debug('IP address not found in range database', { family: ip?.family ?? null });
+      return unknownLocation(this.name);
+    }
+
+    return {
+      country: range.country,
+      region: range.region,
+      city: range.city,
+      source: this.name,
+      // Country-only rows say nothing finer, so they rate below city matches
+      confidence: range.city ? 'high' : 'medium'
+    };
+  }
+}
+
+export default IPRangeGeolocationProvider;
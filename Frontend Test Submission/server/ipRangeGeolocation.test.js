@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import IPRangeGeolocationProvider from './ipRangeGeolocation.js';
+
+const writeDatabase = async (t, contents) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ip-ranges-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'ranges.csv');
+  await fs.writeFile(filePath, contents);
+  return filePath;
+};
+
+test('reads country-only files without a header', async (t) => {
+  const filePath = await writeDatabase(t, '1.0.0.0,1.0.0.255,au\n2001:200::,2001:200:ffff:ffff:ffff:ffff:ffff:ffff,JP\n');
+  const provider = await new IPRangeGeolocationProvider(filePath).load();
+
+  assert.equal((await provider.locate({ ip: '1.0.0.7' })).country, 'AU');
+  assert.equal((await provider.locate({ ip: '::ffff:1.0.0.7' })).country, 'AU');
+  assert.equal((await provider.locate({ ip: '2001:200::1' })).country, 'JP');
+  assert.equal((await provider.locate({ ip: '8.8.8.8' })).confidence, 'none');
+});
+
+test('reads columns by header name', async (t) => {
+  const filePath = await writeDatabase(t, 'country,start,end,city\nDE,5.0.0.0,5.0.0.255,Berlin\n');
+  const provider = await new IPRangeGeolocationProvider(filePath).load();
+
+  assert.deepEqual(await provider.locate({ ip: '5.0.0.1' }), {
+    country: 'DE',
+    region: null,
+    city: 'Berlin',
+    source: 'ip-range',
+    confidence: 'high'
+  });
+});
+
+test('refuses a database without country data', async (t) => {
+  const filePath = await writeDatabase(t, 'start,end,country,region,city\n10.0.0.0,10.255.255.255,,Private network,\n');
+  await assert.rejects(new IPRangeGeolocationProvider(filePath).load(), /has no country data/);
+});
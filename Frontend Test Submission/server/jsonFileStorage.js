@@ -0,0 +1,81 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Storage adapter for the Node server. The whole dataset is kept in memory and
+// flushed to a single JSON file; writes are queued so they never interleave.
+class JSONFileStorage {
+  constructor(filePath) {
+    this.name = 'jsonFile';
+    this.filePath = filePath;
+    this.data = { links: {}, clicks: [] };
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(contents);
+      this.data = { links: data.links || {}, clicks: data.clicks || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await this.flush();
+    }
+    return this;
+  }
+
+  flush() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+
+  async getLinks() {
+    return Object.values(this.data.links).map(link => ({ ...link }));
+  }
+
+  async getLink(shortCode) {
+    const link = this.data.links[shortCode];
+    return link ? { ...link } : null;
+  }
+
+  async putLink(link) {
+    this.data.links[link.shortCode] = { ...link };
+    await this.flush();
+  }
+
+  async deleteLink(shortCode) {
+    delete this.data.links[shortCode];
+    this.data.clicks = this.data.clicks.filter(click => click.shortCode !== shortCode);
+    await this.flush();
+  }
+
+  async getClicks(shortCode) {
+    return this.data.clicks.filter(click => click.shortCode === shortCode).map(click => ({ ...click }));
+  }
+
+  async getAllClicks() {
+    return this.data.clicks.map(click => ({ ...click }));
+  }
+
+  async addClick(click) {
+    this.data.clicks.push({ ...click });
+    await this.flush();
+  }
+
+  // Replaces clicks with the same id and adds the rest
+  async putClicks(updates) {
+    const updatesById = new Map(updates.map(update => [update.id, { ...update }]));
+    const existingIds = new Set(this.data.clicks.map(click => click.id));
+    this.data.clicks = [
+      ...this.data.clicks.map(click => updatesById.get(click.id) || click),
+      ...Array.from(updatesById.values()).filter(update => !existingIds.has(update.id))
+    ];
+    await this.flush();
+  }
+}
+
+export default JSONFileStorage;
@@ -0,0 +1,23 @@
+import crypto from 'node:crypto';
+
+const ROTATE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+let salt = null;
+let saltRotatesAt = 0;
+
+// The server can't set a cookie before redirecting, so a visitor is the hash of
+// their IP and user agent. The salt lives only in memory and changes daily, so
+// stored ids can't be reversed or linked across days.
+export function serverVisitorId(ip, userAgent, now = Date.now()) {
+  if (!ip) return null;
+
+  if (!salt || now >= saltRotatesAt) {
+    salt = crypto.randomBytes(16).toString('hex');
+    saltRotatesAt = now + ROTATE_AFTER_MS;
+  }
+
+  return crypto.createHash('sha256')
+    .update(`${salt}|${ip}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+}
@@ -0,0 +1,199 @@
+import { describeLocation } from './geolocation/index.js';
+
+// Pure helpers that turn click arrays into chart series and ranked
+// breakdowns. Nothing here touches storage or the DOM, so it runs the same in
+// the browser and in Node.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const BUCKETS = ['hour', 'day', 'week'];
+
+// Nominal lengths, only used to bound how far back a series can reach
+const BUCKET_DURATIONS = { hour: HOUR, day: DAY, week: 7 * DAY };
+
+export const RANGES = {
+  '24h': { label: 'Last 24 hours', duration: DAY, bucket: 'hour' },
+  '7d': { label: 'Last 7 days', duration: 7 * DAY, bucket: 'day' },
+  '30d': { label: 'Last 30 days', duration: 30 * DAY, bucket: 'day' },
+  '90d': { label: 'Last 90 days', duration: 90 * DAY, bucket: 'week' },
+  all: { label: 'All time', duration: null, bucket: 'day' }
+};
+
+// Caps the bar count when hourly buckets meet a long range
+export const MAX_BUCKETS = 500;
+
+// Buckets follow local wall-clock time; weeks start on Monday.
+export function startOfBucket(date, bucket) {
+  const start = new Date(date);
+  start.setMinutes(0, 0, 0);
+  if (bucket === 'hour') return start;
+
+  start.setHours(0);
+  if (bucket === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+}
+
+export function nextBucket(date, bucket) {
+  const next = new Date(date);
+  if (bucket === 'hour') {
+    next.setHours(next.getHours() + 1);
+  } else {
+    next.setDate(next.getDate() + (bucket === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+// `all` starts at the earliest click so the chart has no empty lead-in
+export function resolveRange(range, clicks, now = new Date()) {
+  const preset = RANGES[range] || RANGES['7d'];
+  const to = new Date(now);
+
+  if (preset.duration) {
+    return { from: new Date(to.getTime() - preset.duration), to };
+  }
+
+  const earliest = clicks.reduce((min, click) => {
+    const time = new Date(click.timestamp).getTime();
+    return time < min ? time : min;
+  }, to.getTime());
+  return { from: new Date(earliest), to };
+}
+
+// Counts clicks per bucket between `from` and `to`, including empty buckets so
+// gaps show up as zeros rather than being skipped.
+export function bucketClicks(clicks, { bucket = 'day', from, to }) {
+  if (!BUCKETS.includes(bucket)) {
+    throw new Error(`Unknown bucket size: ${bucket}`);
+  }
+
+  // A single ancient timestamp (say, from an import) must not mean walking
+  // every bucket since then, so start no earlier than the buckets kept
+  const earliest = new Date(new Date(to).getTime() - MAX_BUCKETS * BUCKET_DURATIONS[bucket]);
+  const first = new Date(from) < earliest ? earliest : from;
+
+  const starts = [];
+  for (let start = startOfBucket(first, bucket); start <= to; start = nextBucket(start, bucket)) {
+    starts.push(start);
+  }
+
+  // Keep the most recent buckets when the range is too long for the bucket size
+  const series = starts.slice(-MAX_BUCKETS).map(start => ({ start: start.toISOString(), count: 0 }));
+  const indexByStart = new Map(series.map((point, index) => [new Date(point.start).getTime(), index]));
+
+  clicks.forEach(click => {
+    const time = new Date(click.timestamp);
+    if (time < from || time > to) return;
+
+    const index = indexByStart.get(startOfBucket(time, bucket).getTime());
+    if (index !== undefined) series[index].count += 1;
+  });
+
+  return series;
+}
+
+export function buildClickSeries(clicks, { range = '7d', bucket, now = new Date() } = {}) {
+  const { from, to } = resolveRange(range, clicks, now);
+  const bucketSize = bucket || RANGES[range]?.bucket || 'day';
+  return bucketClicks(clicks, { bucket: bucketSize, from, to });
+}
+
+// Dimensions the breakdowns can rank clicks by. Each returns null when a click
+// has nothing to say (e.g. no referrer), and those clicks are left out.
+export const CLICK_DIMENSIONS = {
+  location: click => {
+    const { label } = describeLocation(click.location);
+    return label === 'Unknown' ? null : label;
+  },
+  source: click => click.source || null,
+  referrer: click => click.referrerHost || null,
+  utmSource: click => click.utm?.source || null,
+  utmMedium: click => click.utm?.medium || null,
+  utmCampaign: click => click.utm?.campaign || null,
+  ref: click => click.ref || null,
+  device: click => click.deviceType || null,
+  browser: click => click.browser || null,
+  os: click => click.os || null
+};
+
+// Ranks values of one dimension, most clicks first. `share` is the fraction of
+// all clicks passed in, so shares of a partly-empty dimension sum below 1.
+export function rankClicks(clicks, dimension, { limit = 5 } = {}) {
+  const getKey = typeof dimension === 'function' ? dimension : CLICK_DIMENSIONS[dimension];
+  if (!getKey) {
+    throw new Error(`Unknown click dimension: ${dimension}`);
+  }
+
+  const counts = new Map();
+  clicks.forEach(click => {
+    const key = getKey(click);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const ranked = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .map(([key, count]) => ({ key, count, share: count / clicks.length }));
+
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+// 7 x 24 grid of local-time click counts; row 0 is Monday, column 0 midnight.
+export function hourOfWeekMatrix(clicks) {
+  const matrix = Array.from({ length: 7 }, () => Array(24).fill(0));
+  clicks.forEach(click => {
+    const date = new Date(click.timestamp);
+    if (Number.isNaN(date.getTime())) return;
+    matrix[(date.getDay() + 6) % 7][date.getHours()] += 1;
+  });
+  return matrix;
+}
+
+// Totals shown alongside the charts. Bot clicks stay in `total` but are not
+// visitors; clicks recorded before visitor ids existed count as one each.
+export function summarizeClicks(clicks) {
+  const visitors = new Set();
+  let anonymous = 0;
+  let botClicks = 0;
+
+  clicks.forEach(click => {
+    if (click.isBot) {
+      botClicks += 1;
+    } else if (click.visitorId) {
+      visitors.add(click.visitorId);
+    } else {
+      anonymous += 1;
+    }
+  });
+
+  return { total: clicks.length, uniqueVisitors: visitors.size + anonymous, botClicks };
+}
+
+// Ways to group links on the statistics page. A link sits in one group per
+// tag; links with no value fall into the `null` group.
+export const LINK_GROUPS = {
+  campaign: url => (url.campaign ? [url.campaign] : []),
+  tag: url => url.tags || []
+};
+
+// Click totals per group, busiest first and the `null` group last
+export function groupLinks(urls, grouping) {
+  const getKeys = LINK_GROUPS[grouping];
+  if (!getKeys) {
+    throw new Error(`Unknown link grouping: ${grouping}`);
+  }
+
+  const groups = new Map();
+  urls.forEach(url => {
+    const keys = getKeys(url);
+    (keys.length > 0 ? keys : [null]).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(url);
+    });
+  });
+
+  return Array.from(groups.entries())
+    .map(([key, links]) => ({ key, links, ...summarizeClicks(links.flatMap(url => url.clicks || [])) }))
+    .sort((a, b) => (a.key === null) - (b.key === null) || b.total - a.total || String(a.key).localeCompare(String(b.key)));
+}
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_BUCKETS, bucketClicks, buildClickSeries, nextBucket, startOfBucket } from './analytics.js';
+
+// Buckets follow local time; each test file runs in its own process
+const withTimeZone = (t, timeZone) => {
+  const previous = process.env.TZ;
+  process.env.TZ = timeZone;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TZ;
+    else process.env.TZ = previous;
+  });
+};
+
+test('clicks on a bucket boundary land in the bucket that starts there', (t) => {
+  withTimeZone(t, 'UTC');
+  const series = bucketClicks(
+    [{ timestamp: '2026-03-10T09:59:59.999Z' }, { timestamp: '2026-03-10T10:00:00.000Z' }],
+    { bucket: 'hour', from: new Date('2026-03-10T09:00:00Z'), to: new Date('2026-03-10T10:30:00Z') }
+  );
+
+  assert.deepEqual(series, [
+    { start: '2026-03-10T09:00:00.000Z', count: 1 },
+    { start: '2026-03-10T10:00:00.000Z', count: 1 }
+  ]);
+});
+
+test('clicks outside the range are not counted', (t) => {
+  withTimeZone(t, 'UTC');
+  const series = bucketClicks(
+    [{ timestamp: '2026-03-10T08:59:59.999Z' }, { timestamp: '2026-03-10T11:00:00.001Z' }],
+    { bucket: 'hour', from: new Date('2026-03-10T09:00:00Z'), to: new Date('2026-03-10T11:00:00Z') }
+  );
+
+  assert.equal(series.reduce((sum, point) => sum + point.count, 0), 0);
+});
+
+test('weeks start on Monday', (t) => {
+  withTimeZone(t, 'UTC');
+  // 2026-03-15 is a Sunday
+  assert.equal(startOfBucket(new Date('2026-03-15T23:00:00Z'), 'week').toISOString(), '2026-03-09T00:00:00.000Z');
+  assert.equal(startOfBucket(new Date('2026-03-16T00:00:00Z'), 'week').toISOString(), '2026-03-16T00:00:00.000Z');
+});
+
+test('days start at local midnight in the viewer\'s time zone', (t) => {
+  withTimeZone(t, 'Asia/Kolkata');
+  const start = startOfBucket(new Date('2026-03-10T17:00:00Z'), 'day');
+  assert.equal(start.toISOString(), '2026-03-09T18:30:00.000Z');
+
+  const series = bucketClicks([{ timestamp: '2026-03-10T18:29:00Z' }, { timestamp: '2026-03-10T18:31:00Z' }], {
+    bucket: 'day',
+    from: new Date('2026-03-09T18:30:00Z'),
+    to: new Date('2026-03-10T20:00:00Z')
+  });
+  assert.deepEqual(series.map(point => point.count), [1, 1]);
+});
+
+test('day buckets follow daylight saving changes', (t) => {
+  withTimeZone(t, 'America/New_York');
+  // Clocks go forward on 2026-03-08, so that day is 23 hours long
+  const start = startOfBucket(new Date('2026-03-08T12:00:00Z'), 'day');
+  assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(nextBucket(start, 'day').toISOString(), '2026-03-09T04:00:00.000Z');
+});
+
+test('an ancient click does not stretch the series past the bucket limit', (t) => {
+  withTimeZone(t, 'UTC');
+  const now = new Date('2026-03-10T12:30:00Z');
+  const clicks = [{ timestamp: '1970-01-01T00:00:00.000Z' }, { timestamp: '2026-03-10T12:05:00.000Z' }];
+  const series = buildClickSeries(clicks, { range: 'all', bucket: 'hour', now });
+
+  assert.equal(series.length, MAX_BUCKETS);
+  assert.deepEqual(series[series.length - 1], { start: '2026-03-10T12:00:00.000Z', count: 1 });
+  assert.equal(series.reduce((sum, point) => sum + point.count, 0), 1);
+});
@@ -0,0 +1,114 @@
+import { getBrandedDomains } from './config.js';
+
+export const SOURCE_CATEGORIES = ['direct', 'internal', 'search', 'social', 'email', 'referral', 'qr'];
+
+// Printed QR codes point at the short link with this marker so scans can be
+// told apart from typed or pasted visits
+const QR_PARAM = 'src';
+const QR_VALUE = 'qr';
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Matched against the referrer host and each parent domain, so
+// "m.facebook.com" and "l.facebook.com" both land on "facebook.com".
+const SOCIAL_HOSTS = [
+  'facebook.com', 'fb.me', 'instagram.com', 't.co', 'twitter.com', 'x.com', 'linkedin.com', 'lnkd.in',
+  'reddit.com', 'pinterest.com', 'tiktok.com', 'youtube.com', 'youtu.be', 'threads.net', 'bsky.app',
+  'mastodon.social', 'tumblr.com', 'snapchat.com', 'vk.com', 'weibo.com', 'news.ycombinator.com',
+  'whatsapp.com', 'telegram.org', 't.me', 'discord.com', 'slack.com'
+];
+
+const SEARCH_HOSTS = [
+  'google.com', 'bing.com', 'duckduckgo.com', 'yahoo.com', 'search.yahoo.com', 'baidu.com', 'yandex.ru',
+  'yandex.com', 'ecosia.org', 'startpage.com', 'search.brave.com', 'kagi.com', 'naver.com', 'ask.com'
+];
+
+const EMAIL_HOSTS = [
+  'mail.google.com', 'outlook.live.com', 'outlook.office.com', 'outlook.office365.com', 'mail.yahoo.com',
+  'mail.proton.me', 'mail.aol.com', 'mail.zoho.com', 'fastmail.com', 'app.hey.com', 'icloud.com'
+];
+
+const MEDIUM_CATEGORIES = {
+  email: 'email',
+  newsletter: 'email',
+  social: 'social',
+  'social-media': 'social',
+  cpc: 'search',
+  ppc: 'search',
+  organic: 'search'
+};
+
+// Google serves every country TLD (google.de, google.co.uk) from the same engine
+const isGoogleSearch = (host) => /(^|\.)google\.[a-z.]+$/.test(host) && !host.startsWith('mail.');
+
+const matchesHost = (host, list) => {
+  const labels = host.split('.');
+  return labels.some((_, index) => list.includes(labels.slice(index).join('.')));
+};
+
+const parseURL = (url) => {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+};
+
+export const hostOf = (url) => parseURL(url)?.hostname.toLowerCase().replace(/^www\./, '') || null;
+
+export function classifyReferrer(referrer, internalHosts = []) {
+  const host = hostOf(referrer);
+  if (!host) return 'direct';
+  if (internalHosts.includes(host)) return 'internal';
+  if (matchesHost(host, EMAIL_HOSTS)) return 'email';
+  if (matchesHost(host, SOCIAL_HOSTS)) return 'social';
+  if (isGoogleSearch(host) || matchesHost(host, SEARCH_HOSTS)) return 'search';
+  return 'referral';
+}
+
+// Reads `utm_*` and `ref` from the short link's own query string
+export function parseCampaignParams(search) {
+  const params = new URLSearchParams(search);
+  const utm = {};
+  UTM_FIELDS.forEach(field => {
+    const value = params.get(`utm_${field}`)?.trim();
+    if (value) utm[field] = value;
+  });
+
+  return {
+    utm: Object.keys(utm).length > 0 ? utm : null,
+    ref: params.get('ref')?.trim() || null
+  };
+}
+
+export function qrVariantURL(shortURL) {
+  const url = new URL(shortURL);
+  url.searchParams.set(QR_PARAM, QR_VALUE);
+  return url.toString();
+}
+
+// Works out where a click came from. A QR scan is always `qr`; otherwise an
+// explicit referrer wins and, without one, a tagged `utm_medium` (email clients
+// usually strip the referrer) decides.
+export function resolveClickSource({ referrer = '', url = '' } = {}) {
+  const internalHosts = getBrandedDomains().map(hostOf).filter(Boolean);
+  const currentHost = hostOf(url);
+  if (currentHost) internalHosts.push(currentHost);
+
+  const search = parseURL(url)?.search || '';
+  const { utm, ref } = parseCampaignParams(search);
+  let source = classifyReferrer(referrer, internalHosts);
+  if (new URLSearchParams(search).get(QR_PARAM) === QR_VALUE) {
+    source = 'qr';
+  } else if (source === 'direct' && utm?.medium) {
+    source = MEDIUM_CATEGORIES[utm.medium.toLowerCase()] || 'direct';
+  }
+
+  return {
+    source,
+    referrer: referrer || null,
+    referrerHost: hostOf(referrer),
+    utm,
+    ref
+  };
+}
@@ -0,0 +1,85 @@
+// Vite inlines `import.meta.env` at build time; under Node (the redirect
+// server) it is undefined and `process.env` is used instead.
+const buildEnv = import.meta.env || {};
+const processEnv = typeof process !== 'undefined' && process.env ? process.env : {};
+
+const readEnv = (name) => buildEnv[`VITE_${name}`] || processEnv[name] || '';
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+const DEFAULT_CLICK_DEDUPE_MINUTES = 30;
+const DEFAULT_ALLOWED_SCHEMES = ['http', 'https'];
+const DEFAULT_SHORT_CODE_LENGTH = 6;
+
+export function getBaseURL() {
+  const configured = readEnv('PUBLIC_BASE_URL');
+  if (configured) return trimTrailingSlash(configured);
+
+  if (typeof window !== 'undefined' && window.location?.origin) {
+    return window.location.origin;
+  }
+  return DEFAULT_BASE_URL;
+}
+
+export function getBrandedDomains() {
+  const domains = readEnv('BRANDED_DOMAINS')
+    .split(',')
+    .map(domain => trimTrailingSlash(domain.trim()))
+    .filter(Boolean);
+
+  return Array.from(new Set([getBaseURL(), ...domains]));
+}
+
+export function isConfiguredDomain(domain) {
+  return getBrandedDomains().includes(trimTrailingSlash(domain));
+}
+
+export function resolveDomain(domain) {
+  if (domain && isConfiguredDomain(domain)) return trimTrailingSlash(domain);
+  return getBaseURL();
+}
+
+// Repeat clicks from one visitor inside this window are ignored; 0 counts all
+export function getClickDedupeMinutes() {
+  const configured = readEnv('CLICK_DEDUPE_MINUTES');
+  const minutes = configured === '' ? DEFAULT_CLICK_DEDUPE_MINUTES : Number(configured);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_CLICK_DEDUPE_MINUTES;
+}
+
+// Shortening a destination that already has an identical active link returns
+// that link instead of a new code. Callers can override it per request.
+export function shouldReuseExistingLinks() {
+  return readEnv('REUSE_EXISTING_LINKS') === 'true';
+}
+
+// Destination URL schemes that can be shortened, without the trailing colon
+export function getAllowedSchemes() {
+  const schemes = readEnv('ALLOWED_SCHEMES')
+    .split(',')
+    .map(scheme => scheme.trim().toLowerCase().replace(/:$/, ''))
+    .filter(Boolean);
+
+  return schemes.length > 0 ? schemes : DEFAULT_ALLOWED_SCHEMES;
+}
+
+// How generated shortcodes look. `length` is the starting length; codes grow
+// past it as the namespace fills. An empty alphabet uses the strategy default.
+// With `caseInsensitive` set, "Promo" and "promo" are the same link.
+export function getShortCodeSettings() {
+  const length = Number(readEnv('SHORT_CODE_LENGTH'));
+  return {
+    strategy: readEnv('SHORT_CODE_STRATEGY') || 'random',
+    length: Number.isInteger(length) && length > 0 ? length : DEFAULT_SHORT_CODE_LENGTH,
+    alphabet: readEnv('SHORT_CODE_ALPHABET'),
+    caseInsensitive: readEnv('SHORT_CODE_CASE_INSENSITIVE') === 'true'
+  };
+}
+
+// Extra shortcodes to keep free, on top of the app's routes and built-in list
+export function getReservedShortCodes() {
+  return readEnv('RESERVED_SHORT_CODES')
+    .split(',')
+    .map(code => code.trim())
+    .filter(Boolean);
+}
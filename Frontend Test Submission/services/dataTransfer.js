@@ -0,0 +1,222 @@
+import { parseDelimited, toCSV, unescapeFormula } from '../lib/csv.js';
+import { getBaseURL, getBrandedDomains } from './config.js';
+import { hostOf } from './clickSource.js';
+
+export const SNAPSHOT_FORMAT = 'linkshort-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+const LINK_COLUMNS = [
+  'shortCode',
+  'originalURL',
+  'domain',
+  'tags',
+  'campaign',
+  'createdAt',
+  'activatesAt',
+  'expiresAt',
+  'validityMinutes',
+  'maxClicks',
+  'deactivatedAt',
+  'passwordHash'
+];
+const CLICK_COLUMNS = [
+  'clickId',
+  'timestamp',
+  'source',
+  'location',
+  'referrer',
+  'utmSource',
+  'utmMedium',
+  'utmCampaign',
+  'utmTerm',
+  'utmContent',
+  'ref',
+  'userAgent',
+  'browser',
+  'browserVersion',
+  'os',
+  'osVersion',
+  'deviceType',
+  'isBot',
+  'visitorId'
+];
+const CSV_COLUMNS = ['recordType', ...LINK_COLUMNS, ...CLICK_COLUMNS];
+
+const splitURL = ({ clicks = [], totalClicks, shortURL, failedPasswordAttempts, passwordLockedUntil, ...link }) => ({
+  link,
+  clicks: clicks.map(click => ({ ...click, shortCode: link.shortCode }))
+});
+
+export function createSnapshot(urls) {
+  const parts = urls.map(splitURL);
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: {
+      baseURL: getBaseURL(),
+      brandedDomains: getBrandedDomains()
+    },
+    links: parts.map(part => part.link),
+    clicks: parts.flatMap(part => part.clicks)
+  };
+}
+
+const linkToRow = (link) => LINK_COLUMNS.map(column => {
+  if (column === 'tags') return (link.tags || []).join(';');
+  if (column === 'passwordHash') return link.passwordHash ? JSON.stringify(link.passwordHash) : '';
+  return link[column] ?? '';
+});
+
+const UTM_COLUMNS = {
+  utmSource: 'source',
+  utmMedium: 'medium',
+  utmCampaign: 'campaign',
+  utmTerm: 'term',
+  utmContent: 'content'
+};
+
+const clickToRow = (click) => CLICK_COLUMNS.map(column => {
+  if (column === 'clickId') return click.id;
+  if (UTM_COLUMNS[column]) return click.utm?.[UTM_COLUMNS[column]] ?? '';
+  if (column === 'location' && click.location && typeof click.location === 'object') return JSON.stringify(click.location);
+  return click[column] ?? '';
+});
+
+// One flat file: a `link` row per link followed by a `click` row per click.
+export function createCSVExport(urls) {
+  const rows = [CSV_COLUMNS];
+  urls.map(splitURL).forEach(({ link, clicks }) => {
+    rows.push(['link', ...linkToRow(link), ...CLICK_COLUMNS.map(() => '')]);
+    clicks.forEach(click => {
+      const linkCells = LINK_COLUMNS.map(column => (column === 'shortCode' ? link.shortCode : ''));
+      rows.push(['click', ...linkCells, ...clickToRow(click)]);
+    });
+  });
+  return toCSV(rows);
+}
+
+const emptyToNull = (value) => (value === '' || value === undefined ? null : value);
+const toNumberOrNull = (value) => (value === '' || value === undefined ? null : Number(value));
+
+const parseJSONCell = (value, label) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${label} is not valid JSON`);
+  }
+};
+
+// Resolved locations are objects; clicks from before that stored a string
+const parseLocation = (value) => (value.startsWith('{') ? parseJSONCell(value, 'Location') : value);
+
+// Blank ids get a fresh one on import; anything else must be a number
+const parseClickId = (value) => {
+  if (value === '') return null;
+  const id = Number(value);
+  if (!Number.isFinite(id)) {
+    throw new Error(`Click id "${value}" is not a number`);
+  }
+  return id;
+};
+
+const parseUTM = (row, cell) => {
+  const utm = {};
+  Object.entries(UTM_COLUMNS).forEach(([column, field]) => {
+    if (cell(row, column)) utm[field] = cell(row, column);
+  });
+  return Object.keys(utm).length > 0 ? utm : null;
+};
+
+const parseClickRow = (row, cell) => ({
+  id: parseClickId(cell(row, 'clickId')),
+  shortCode: cell(row, 'shortCode'),
+  timestamp: cell(row, 'timestamp'),
+  source: cell(row, 'source'),
+  location: parseLocation(cell(row, 'location')),
+  referrer: emptyToNull(cell(row, 'referrer')),
+  referrerHost: hostOf(cell(row, 'referrer')),
+  utm: parseUTM(row, cell),
+  ref: emptyToNull(cell(row, 'ref')),
+  userAgent: emptyToNull(cell(row, 'userAgent')),
+  visitorId: emptyToNull(cell(row, 'visitorId')),
+  // Left undefined when the column is absent so the import re-derives them
+  ...(cell(row, 'deviceType') && {
+    browser: emptyToNull(cell(row, 'browser')),
+    browserVersion: emptyToNull(cell(row, 'browserVersion')),
+    os: emptyToNull(cell(row, 'os')),
+    osVersion: emptyToNull(cell(row, 'osVersion')),
+    deviceType: cell(row, 'deviceType'),
+    isBot: cell(row, 'isBot') === 'true'
+  })
+});
+
+const parseLinkRow = (row, cell) => {
+  const tags = cell(row, 'tags');
+  const passwordHash = cell(row, 'passwordHash');
+  return {
+    shortCode: cell(row, 'shortCode'),
+    originalURL: cell(row, 'originalURL'),
+    domain: emptyToNull(cell(row, 'domain')),
+    tags: tags ? tags.split(';') : [],
+    campaign: emptyToNull(cell(row, 'campaign')),
+    createdAt: cell(row, 'createdAt'),
+    activatesAt: emptyToNull(cell(row, 'activatesAt')),
+    expiresAt: cell(row, 'expiresAt'),
+    validityMinutes: toNumberOrNull(cell(row, 'validityMinutes')),
+    maxClicks: toNumberOrNull(cell(row, 'maxClicks')),
+    deactivatedAt: emptyToNull(cell(row, 'deactivatedAt')),
+    passwordHash: passwordHash ? parseJSONCell(passwordHash, 'Password hash') : null
+  };
+};
+
+// A row with a cell that can't be read is left out and reported in
+// `rowErrors`, in the same shape as the links an import skips
+function parseCSVImport(text) {
+  const [header, ...rows] = parseDelimited(text, ',');
+  const index = Object.fromEntries(header.map((column, i) => [column, i]));
+  const cell = (row, column) => unescapeFormula(row[index[column]] ?? '');
+
+  const links = [];
+  const clicks = [];
+  const rowErrors = [];
+  rows.forEach((row, rowIndex) => {
+    try {
+      if (cell(row, 'recordType') === 'click') {
+        clicks.push(parseClickRow(row, cell));
+      } else {
+        links.push(parseLinkRow(row, cell));
+      }
+    } catch (error) {
+      rowErrors.push({
+        shortCode: cell(row, 'shortCode') || null,
+        originalURL: cell(row, 'originalURL') || null,
+        // +2 for the header and 1-based numbering
+        reason: `Row ${rowIndex + 2}: ${error.message}`
+      });
+    }
+  });
+
+  return { links, clicks, settings: null, rowErrors };
+}
+
+function parseJSONImport(text) {
+  const snapshot = JSON.parse(text);
+  if (snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('File is not a LinkShort snapshot');
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than this app supports`);
+  }
+  return {
+    links: snapshot.links || [],
+    clicks: snapshot.clicks || [],
+    settings: snapshot.settings || null,
+    rowErrors: []
+  };
+}
+
+export function parseImportFile(text, filename = '') {
+  const looksLikeJSON = filename.toLowerCase().endsWith('.json') || text.trimStart().startsWith('{');
+  return looksLikeJSON ? parseJSONImport(text) : parseCSVImport(text);
+}
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCSVExport, parseImportFile } from './dataTransfer.js';
+
+const link = {
+  id: 1,
+  shortCode: 'promo',
+  originalURL: 'https://example.com/',
+  domain: null,
+  tags: ['=cmd'],
+  campaign: '@launch',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  activatesAt: null,
+  expiresAt: '2026-01-02T00:00:00.000Z',
+  validityMinutes: 1440,
+  maxClicks: null,
+  deactivatedAt: null,
+  passwordHash: null,
+  clicks: [{ id: 7, timestamp: '2026-01-01T01:00:00.000Z', source: 'direct', location: 'Unknown', userAgent: '-x' }]
+};
+
+test('CSV export writes formula-like text inert', () => {
+  const csv = createCSVExport([link]);
+  assert.ok(csv.includes(",'=cmd,'@launch,"));
+  assert.ok(!/(^|,)[=+\-@]/m.test(csv));
+});
+
+test('CSV export round-trips formula-like text', () => {
+  const { links, clicks } = parseImportFile(createCSVExport([link]), 'links.csv');
+  assert.deepEqual(links[0].tags, ['=cmd']);
+  assert.equal(links[0].campaign, '@launch');
+  assert.equal(clicks[0].userAgent, '-x');
+});
+
+// Swaps one cell of an exported row; fine for rows without quoted commas
+const withCell = (csv, rowNumber, column, value) => {
+  const lines = csv.split('\n');
+  const columnIndex = lines[0].split(',').indexOf(column);
+  const cells = lines[rowNumber].split(',');
+  cells[columnIndex] = value;
+  lines[rowNumber] = cells.join(',');
+  return lines.join('\n');
+};
+
+test('CSV import reports a bad JSON cell as a row error and keeps the other rows', () => {
+  const csv = withCell(createCSVExport([link]), 1, 'passwordHash', '{oops');
+  const { links, clicks, rowErrors } = parseImportFile(csv, 'links.csv');
+  assert.equal(links.length, 0);
+  assert.equal(clicks.length, 1);
+  assert.deepEqual(rowErrors, [{
+    shortCode: 'promo',
+    originalURL: 'https://example.com/',
+    reason: 'Row 2: Password hash is not valid JSON'
+  }]);
+});
+
+test('CSV import reports a bad location cell', () => {
+  const csv = withCell(createCSVExport([link]), 2, 'location', '{oops');
+  const { links, clicks, rowErrors } = parseImportFile(csv, 'links.csv');
+  assert.equal(links.length, 1);
+  assert.equal(clicks.length, 0);
+  assert.equal(rowErrors[0].reason, 'Row 3: Location is not valid JSON');
+});
+
+test('CSV import rejects click ids that are not numbers', () => {
+  const csv = withCell(createCSVExport([link]), 2, 'clickId', 'abc');
+  const { clicks, rowErrors } = parseImportFile(csv, 'links.csv');
+  assert.equal(clicks.length, 0);
+  assert.equal(rowErrors[0].reason, 'Row 3: Click id "abc" is not a number');
+});
+
+test('CSV import leaves blank click ids for the import to assign', () => {
+  const csv = withCell(createCSVExport([link]), 2, 'clickId', '');
+  const { clicks, rowErrors } = parseImportFile(csv, 'links.csv');
+  assert.equal(clicks[0].id, null);
+  assert.deepEqual(rowErrors, []);
+});
@@ -0,0 +1,18 @@
+// Comparison key for destination URLs, so "HTTPS://Example.com:443/?b=2&a=1"
+// and "https://example.com/?a=1&b=2" count as the same place. Only used to
+// find duplicates; links keep the URL exactly as it was entered.
+export function normalizeDestination(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+
+  parsed.hostname = parsed.hostname.replace(/\.$/, '');
+  parsed.searchParams.sort();
+  // An empty `?` or `#` does not change where the link goes
+  if (!parsed.search) parsed.search = '';
+  if (!parsed.hash) parsed.hash = '';
+  return parsed.href;
+}
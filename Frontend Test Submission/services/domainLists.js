@@ -0,0 +1,7 @@
+// Local destination lists checked by the URL policy. An entry matches the
+// domain itself and every subdomain ("example.com" also covers
+// "www.example.com"). Leave ALLOWED_DOMAINS empty to accept any domain that
+// is not blocked; once it has entries, only those domains can be shortened.
+export const BLOCKED_DOMAINS = [];
+
+export const ALLOWED_DOMAINS = [];
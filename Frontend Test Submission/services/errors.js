@@ -0,0 +1,36 @@
+export const ERROR_CODES = {
+  INVALID_URL: 'INVALID_URL',
+  BLOCKED_DESTINATION: 'BLOCKED_DESTINATION',
+  REDIRECT_LOOP: 'REDIRECT_LOOP',
+  INVALID_VALIDITY: 'INVALID_VALIDITY',
+  INVALID_SHORT_CODE: 'INVALID_SHORT_CODE',
+  INVALID_DOMAIN: 'INVALID_DOMAIN',
+  INVALID_MAX_CLICKS: 'INVALID_MAX_CLICKS',
+  INVALID_ACTIVATION: 'INVALID_ACTIVATION',
+  INVALID_TAGS: 'INVALID_TAGS',
+  INVALID_CAMPAIGN: 'INVALID_CAMPAIGN',
+  INVALID_ACTIVE: 'INVALID_ACTIVE',
+  BATCH_INVALID: 'BATCH_INVALID',
+  INVALID_PASSWORD: 'INVALID_PASSWORD',
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  PASSWORD_LOCKED: 'PASSWORD_LOCKED',
+  SHORT_CODE_EXISTS: 'SHORT_CODE_EXISTS',
+  SHORT_CODE_RESERVED: 'SHORT_CODE_RESERVED',
+  SHORT_CODE_UNAVAILABLE: 'SHORT_CODE_UNAVAILABLE',
+  NOT_FOUND: 'NOT_FOUND',
+  EXPIRED: 'EXPIRED',
+  NOT_YET_ACTIVE: 'NOT_YET_ACTIVE',
+  DEACTIVATED: 'DEACTIVATED',
+  CLICK_LIMIT_REACHED: 'CLICK_LIMIT_REACHED'
+};
+
+// Thrown by URLService for expected failures. `message` stays human readable
+// for the UI toasts; `code` is stable for API clients.
+export class URLServiceError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'URLServiceError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,47 @@
+import TimeZoneGeolocationProvider from './timeZoneProvider.js';
+
+export const CONFIDENCE_LEVELS = ['none', 'low', 'medium', 'high'];
+
+export const unknownLocation = (source) => ({
+  country: null,
+  region: null,
+  city: null,
+  source,
+  confidence: 'none'
+});
+
+// Providers implement `name` and `async locate(context)`, where context may
+// carry `ip`, `timeZone` and `language`. The IP range provider reads a file, so
+// it lives with the Node server and is passed into URLService there.
+export function createGeolocationProvider(type = 'timezone') {
+  switch (type) {
+    case 'timezone':
+      return new TimeZoneGeolocationProvider();
+    default:
+      throw new Error(`Unknown geolocation provider: ${type}`);
+  }
+}
+
+const countryName = (code) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(code);
+  } catch {
+    return code;
+  }
+};
+
+// Clicks recorded before providers existed stored a plain (mock) city string.
+export function describeLocation(location) {
+  if (!location || typeof location === 'string') {
+    return { label: location || 'Unknown', source: 'legacy', confidence: 'none' };
+  }
+
+  const parts = [location.city, location.region, location.country && countryName(location.country)];
+  return {
+    label: parts.filter(Boolean).join(', ') || 'Unknown',
+    source: location.source,
+    confidence: location.confidence
+  };
+}
+
+export { TimeZoneGeolocationProvider };
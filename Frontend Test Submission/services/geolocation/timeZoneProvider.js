@@ -0,0 +1,51 @@
+import { countryForTimeZone } from './timeZones.js';
+
+const languageRegion = (language) => {
+  const match = /^[a-z]{2,3}[-_](?:[a-z]{4}[-_])?([a-z]{2})\b/i.exec(language || '');
+  return match ? match[1].toUpperCase() : null;
+};
+
+const defaultTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+// Works entirely offline from what the visitor's browser reports. The time
+// zone pins the country for most zones; the language region only backs it up,
+// since plenty of people browse in a language from elsewhere. Zones are named
+// after one city ("Asia/Kolkata") but cover whole countries, so no region is
+// taken from them.
+class TimeZoneGeolocationProvider {
+  constructor() {
+    this.name = 'timezone';
+  }
+
+  async locate(context = {}) {
+    const timeZone = context.timeZone ?? defaultTimeZone();
+    const language = context.language ?? (typeof navigator !== 'undefined' ? navigator.language : null);
+
+    const zoneCountry = countryForTimeZone(timeZone);
+    const languageCountry = languageRegion(language);
+
+    let confidence = 'none';
+    if (zoneCountry && zoneCountry === languageCountry) {
+      confidence = 'medium';
+    } else if (zoneCountry || languageCountry) {
+      confidence = 'low';
+    }
+
+    return {
+      country: zoneCountry || languageCountry,
+      region: null,
+      city: null,
+      source: this.name,
+      confidence,
+      timeZone: timeZone || null
+    };
+  }
+}
+
+export default TimeZoneGeolocationProvider;
@@ -0,0 +1,106 @@
+// IANA time zones grouped by the ISO 3166 country they belong to. Zones shared
+// by several countries (UTC, Etc/*) are deliberately absent.
+const ZONES_BY_COUNTRY = {
+  AE: ['Asia/Dubai'],
+  AF: ['Asia/Kabul'],
+  AR: ['America/Argentina/Buenos_Aires', 'America/Argentina/Cordoba', 'America/Argentina/Mendoza', 'America/Argentina/Salta', 'America/Argentina/Ushuaia', 'America/Buenos_Aires'],
+  AT: ['Europe/Vienna'],
+  AU: ['Australia/Sydney', 'Australia/Melbourne', 'Australia/Brisbane', 'Australia/Perth', 'Australia/Adelaide', 'Australia/Darwin', 'Australia/Hobart', 'Australia/Canberra'],
+  BD: ['Asia/Dhaka'],
+  BE: ['Europe/Brussels'],
+  BG: ['Europe/Sofia'],
+  BO: ['America/La_Paz'],
+  BR: ['America/Sao_Paulo', 'America/Manaus', 'America/Fortaleza', 'America/Recife', 'America/Bahia', 'America/Belem', 'America/Cuiaba', 'America/Porto_Velho', 'America/Rio_Branco', 'America/Noronha'],
+  BY: ['Europe/Minsk'],
+  CA: ['America/Toronto', 'America/Vancouver', 'America/Edmonton', 'America/Winnipeg', 'America/Halifax', 'America/St_Johns', 'America/Regina', 'America/Moncton', 'America/Whitehorse', 'America/Yellowknife', 'America/Iqaluit', 'America/Montreal'],
+  CH: ['Europe/Zurich'],
+  CL: ['America/Santiago', 'Pacific/Easter'],
+  CN: ['Asia/Shanghai', 'Asia/Urumqi', 'Asia/Chongqing', 'Asia/Harbin'],
+  CO: ['America/Bogota'],
+  CR: ['America/Costa_Rica'],
+  CU: ['America/Havana'],
+  CZ: ['Europe/Prague'],
+  DE: ['Europe/Berlin', 'Europe/Busingen'],
+  DK: ['Europe/Copenhagen'],
+  DO: ['America/Santo_Domingo'],
+  DZ: ['Africa/Algiers'],
+  EC: ['America/Guayaquil', 'Pacific/Galapagos'],
+  EE: ['Europe/Tallinn'],
+  EG: ['Africa/Cairo'],
+  ES: ['Europe/Madrid', 'Atlantic/Canary', 'Africa/Ceuta'],
+  ET: ['Africa/Addis_Ababa'],
+  FI: ['Europe/Helsinki'],
+  FR: ['Europe/Paris'],
+  GB: ['Europe/London', 'Europe/Belfast'],
+  GH: ['Africa/Accra'],
+  GR: ['Europe/Athens'],
+  GT: ['America/Guatemala'],
+  HK: ['Asia/Hong_Kong'],
+  HR: ['Europe/Zagreb'],
+  HU: ['Europe/Budapest'],
+  ID: ['Asia/Jakarta', 'Asia/Makassar', 'Asia/Jayapura', 'Asia/Pontianak'],
+  IE: ['Europe/Dublin'],
+  IL: ['Asia/Jerusalem', 'Asia/Tel_Aviv'],
+  IN: ['Asia/Kolkata', 'Asia/Calcutta'],
+  IQ: ['Asia/Baghdad'],
+  IR: ['Asia/Tehran'],
+  IS: ['Atlantic/Reykjavik'],
+  IT: ['Europe/Rome'],
+  JM: ['America/Jamaica'],
+  JO: ['Asia/Amman'],
+  JP: ['Asia/Tokyo'],
+  KE: ['Africa/Nairobi'],
+  KR: ['Asia/Seoul'],
+  KZ: ['Asia/Almaty', 'Asia/Qyzylorda', 'Asia/Aqtobe', 'Asia/Aqtau', 'Asia/Oral'],
+  LB: ['Asia/Beirut'],
+  LK: ['Asia/Colombo'],
+  LT: ['Europe/Vilnius'],
+  LU: ['Europe/Luxembourg'],
+  LV: ['Europe/Riga'],
+  MA: ['Africa/Casablanca'],
+  MX: ['America/Mexico_City', 'America/Cancun', 'America/Merida', 'America/Monterrey', 'America/Chihuahua', 'America/Hermosillo', 'America/Mazatlan', 'America/Tijuana'],
+  MY: ['Asia/Kuala_Lumpur', 'Asia/Kuching'],
+  NG: ['Africa/Lagos'],
+  NL: ['Europe/Amsterdam'],
+  NO: ['Europe/Oslo'],
+  NP: ['Asia/Kathmandu', 'Asia/Katmandu'],
+  NZ: ['Pacific/Auckland', 'Pacific/Chatham'],
+  PA: ['America/Panama'],
+  PE: ['America/Lima'],
+  PH: ['Asia/Manila'],
+  PK: ['Asia/Karachi'],
+  PL: ['Europe/Warsaw'],
+  PR: ['America/Puerto_Rico'],
+  PT: ['Europe/Lisbon', 'Atlantic/Azores', 'Atlantic/Madeira'],
+  PY: ['America/Asuncion'],
+  QA: ['Asia/Qatar'],
+  RO: ['Europe/Bucharest'],
+  RS: ['Europe/Belgrade'],
+  RU: ['Europe/Moscow', 'Europe/Kaliningrad', 'Europe/Samara', 'Europe/Volgograd', 'Asia/Yekaterinburg', 'Asia/Omsk', 'Asia/Novosibirsk', 'Asia/Krasnoyarsk', 'Asia/Irkutsk', 'Asia/Yakutsk', 'Asia/Vladivostok', 'Asia/Magadan', 'Asia/Kamchatka'],
+  SA: ['Asia/Riyadh'],
+  SE: ['Europe/Stockholm'],
+  SG: ['Asia/Singapore'],
+  SI: ['Europe/Ljubljana'],
+  SK: ['Europe/Bratislava'],
+  TH: ['Asia/Bangkok'],
+  TN: ['Africa/Tunis'],
+  TR: ['Europe/Istanbul', 'Asia/Istanbul'],
+  TW: ['Asia/Taipei'],
+  TZ: ['Africa/Dar_es_Salaam'],
+  UA: ['Europe/Kyiv', 'Europe/Kiev', 'Europe/Uzhgorod', 'Europe/Zaporozhye'],
+  UG: ['Africa/Kampala'],
+  US: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Phoenix', 'America/Anchorage', 'America/Detroit', 'America/Boise', 'America/Indiana/Indianapolis', 'America/Kentucky/Louisville', 'America/Juneau', 'America/Adak', 'Pacific/Honolulu', 'US/Eastern', 'US/Central', 'US/Mountain', 'US/Pacific', 'US/Alaska', 'US/Hawaii'],
+  UY: ['America/Montevideo'],
+  UZ: ['Asia/Tashkent', 'Asia/Samarkand'],
+  VE: ['America/Caracas'],
+  VN: ['Asia/Ho_Chi_Minh', 'Asia/Saigon'],
+  ZA: ['Africa/Johannesburg']
+};
+
+const COUNTRY_BY_ZONE = new Map(
+  Object.entries(ZONES_BY_COUNTRY).flatMap(([country, zones]) => zones.map(zone => [zone, country]))
+);
+
+export function countryForTimeZone(timeZone) {
+  return COUNTRY_BY_ZONE.get(timeZone) || null;
+}
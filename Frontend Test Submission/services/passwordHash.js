@@ -0,0 +1,65 @@
+const ALGORITHM = 'PBKDF2-SHA-256';
+const ITERATIONS = 150000;
+// Stored hashes can arrive from imports, so their cost is capped
+const MAX_ITERATIONS = 1000000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+}
+
+// Compares every byte so the time taken does not reveal where they differ
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+};
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, ITERATIONS);
+  return {
+    algorithm: ALGORITHM,
+    iterations: ITERATIONS,
+    salt: toBase64(salt),
+    hash: toBase64(hash)
+  };
+}
+
+const isBase64 = (value) => typeof value === 'string' && value.length > 0 && value.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+
+export function isValidPasswordHash(stored) {
+  return Boolean(stored)
+    && stored.algorithm === ALGORITHM
+    && Number.isInteger(stored.iterations)
+    && stored.iterations > 0
+    && stored.iterations <= MAX_ITERATIONS
+    && isBase64(stored.salt)
+    && isBase64(stored.hash)
+    && fromBase64(stored.hash).length === HASH_BITS / 8;
+}
+
+export async function verifyPassword(password, stored) {
+  if (!isValidPasswordHash(stored)) return false;
+
+  const hash = await derive(password, fromBase64(stored.salt), stored.iterations);
+  return timingSafeEqual(new Uint8Array(hash), fromBase64(stored.hash));
+}
@@ -0,0 +1,417 @@
+// Self-contained QR code encoder (ISO/IEC 18004, byte mode, versions 1-40) so
+// codes can be generated offline without a third-party service.
+
+export const ERROR_CORRECTION_LEVELS = {
+  L: { label: 'Low (7%)', formatBits: 1, index: 0 },
+  M: { label: 'Medium (15%)', formatBits: 0, index: 1 },
+  Q: { label: 'Quartile (25%)', formatBits: 3, index: 2 },
+  H: { label: 'High (30%)', formatBits: 2, index: 3 }
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Indexed by [level][version]; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Modules available for data and error correction once the function patterns
+// of a version are placed
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const getNumDataCodewords = (version, level) => {
+  const { index } = ERROR_CORRECTION_LEVELS[level];
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[index][version] * NUM_ERROR_CORRECTION_BLOCKS[index][version];
+};
+
+const getAlignmentPositions = (version) => {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < numAlign; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+};
+
+// Reed-Solomon arithmetic over GF(2^8) with the QR polynomial 0x11D
+const gfMultiply = (x, y) => {
+  let result = 0;
+  for (let bit = 7; bit >= 0; bit--) {
+    result = (result << 1) ^ ((result >>> 7) * 0x11D);
+    result ^= ((y >>> bit) & 1) * x;
+  }
+  return result;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < divisor.length; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const remainder = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return remainder;
+};
+
+const appendBits = (bits, value, length) => {
+  for (let i = length - 1; i >= 0; i--) {
+    bits.push((value >>> i) & 1);
+  }
+};
+
+const chooseVersion = (byteLength, level) => {
+  for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    const usedBits = 4 + countBits + byteLength * 8;
+    if (usedBits <= getNumDataCodewords(version, level) * 8) return version;
+  }
+  return null;
+};
+
+const encodeData = (bytes, version, level) => {
+  const capacityBits = getNumDataCodewords(version, level) * 8;
+  const bits = [];
+  appendBits(bits, 0b0100, 4);
+  appendBits(bits, bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => appendBits(bits, byte, 8));
+
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+    appendBits(bits, pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Splits data into blocks, appends each block's error correction and
+// interleaves the result in the order the symbol is read
+const addErrorCorrection = (data, version, level) => {
+  const { index } = ERROR_CORRECTION_LEVELS[level];
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[index][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+    const blockData = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    const block = [...blockData, ...reedSolomonRemainder(blockData, divisor)];
+    // Pad short blocks so every block interleaves at the same positions
+    if (i < numShortBlocks) block.splice(dataLength, 0, null);
+    blocks.push(block);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach(block => {
+      if (block[i] !== null) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+class QRMatrix {
+  constructor(version) {
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFunctionPatterns(version) {
+    for (let i = 0; i < this.size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinder(3, 3);
+    this.drawFinder(this.size - 4, 3);
+    this.drawFinder(3, this.size - 4);
+
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignment(x, y);
+      });
+    });
+
+    // Reserve format areas now; the real bits are written once a mask is chosen
+    this.drawFormatBits('M', 0);
+    this.drawVersion(version);
+  }
+
+  drawFormatBits(level, mask) {
+    const data = (ERROR_CORRECTION_LEVELS[level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.set(this.size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, this.size - 15 + i, bit(i));
+    this.set(8, this.size - 8, true);
+  }
+
+  drawVersion(version) {
+    if (version < 7) return;
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.set(a, b, dark);
+      this.set(b, a, dark);
+    }
+  }
+
+  // Codewords fill the symbol in two-module-wide columns, zigzagging up and
+  // down from the bottom right and skipping the vertical timing pattern
+  drawCodewords(codewords) {
+    let bitIndex = 0;
+    const totalBits = codewords.length * 8;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (this.reserved[y][x]) continue;
+          if (bitIndex < totalBits) {
+            this.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const pattern = MASK_PATTERNS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && pattern(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty score from the standard's four rules; the lowest-scoring mask wins
+  penaltyScore() {
+    const { size, modules } = this;
+    let score = 0;
+
+    const scoreLine = (line) => {
+      let runColor = line[0];
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === runColor) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) score += runLength - 2;
+        runColor = line[i];
+        runLength = 1;
+      }
+
+      // 1:1:3:1:1 finder-like pattern with four light modules on either side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      const padded = `0000${text}0000`;
+      for (let i = padded.indexOf('1011101'); i !== -1; i = padded.indexOf('1011101', i + 1)) {
+        const before = padded.slice(Math.max(0, i - 4), i);
+        const after = padded.slice(i + 7, i + 11);
+        if (before === '0000' || after === '0000') score += 40;
+      }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(modules[y]);
+    for (let x = 0; x < size; x++) scoreLine(modules.map(row => row[x]));
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+// Returns the module grid for `text`: `modules[y][x]` is true for dark modules.
+// The smallest version that fits the text at the requested level is used.
+export function encodeQR(text, { errorCorrection = 'M' } = {}) {
+  if (!ERROR_CORRECTION_LEVELS[errorCorrection]) {
+    throw new Error(`Unknown error correction level: ${errorCorrection}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const version = chooseVersion(bytes.length, errorCorrection);
+  if (!version) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version, errorCorrection), version, errorCorrection);
+
+  let best = null;
+  for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+    const matrix = new QRMatrix(version);
+    matrix.drawFunctionPatterns(version);
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(errorCorrection, mask);
+    const score = matrix.penaltyScore();
+    if (!best || score < best.score) best = { matrix, mask, score };
+  }
+
+  return {
+    version,
+    errorCorrection,
+    mask: best.mask,
+    size: best.matrix.size,
+    modules: best.matrix.modules
+  };
+}
+
+// Draws one path per dark run so the SVG stays small and scales crisply
+export function toSVG(qr, { size = 256, foreground = '#000000', background = '#ffffff', margin = 4 } = {}) {
+  const dimension = qr.size + margin * 2;
+  let path = '';
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      if (!row[x]) continue;
+      let end = x;
+      while (end + 1 < row.length && row[end + 1]) end++;
+      path += `M${x + margin} ${y + margin}h${end - x + 1}v1h-${end - x + 1}z`;
+      x = end;
+    }
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="${background}"/>`
+    + `<path d="${path}" fill="${foreground}"/>`
+    + '</svg>';
+}
+
+// Paints onto a canvas at whole-pixel module sizes; the PNG download reads from it
+export function drawToCanvas(qr, canvas, { size = 256, foreground = '#000000', background = '#ffffff', margin = 4 } = {}) {
+  const dimension = qr.size + margin * 2;
+  const scale = Math.max(1, Math.floor(size / dimension));
+  canvas.width = dimension * scale;
+  canvas.height = dimension * scale;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = foreground;
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+    });
+  });
+  return canvas;
+}
@@ -0,0 +1,11 @@
+// Paths the app serves itself. The router and navigation are built from these,
+// the redirect server answers them with index.html, and shortcodes that would
+// shadow them are reserved.
+export const ROUTES = {
+  home: '/',
+  statistics: '/statistics'
+};
+
+export const APP_ROUTES = Object.values(ROUTES);
+
+export const API_PREFIX = '/api';
@@ -0,0 +1,32 @@
+// Sequential codes: the counter written in base `alphabet.length` and padded
+// to the requested length. Codes are short and never repeat within a session,
+// but they are guessable, so avoid this strategy for private links.
+class CounterShortCodeGenerator {
+  constructor(alphabet) {
+    this.name = 'counter';
+    this.alphabet = alphabet;
+    this.next = null;
+  }
+
+  namespaceSize(length) {
+    return this.alphabet.length ** length;
+  }
+
+  // The counter is not persisted; it resumes from the current link count and
+  // the caller skips any code that turns out to be taken.
+  generate(length, { count = 0 } = {}) {
+    if (this.next === null) this.next = count;
+    let value = this.next++;
+
+    const base = this.alphabet.length;
+    let code = '';
+    do {
+      code = this.alphabet[value % base] + code;
+      value = Math.floor(value / base);
+    } while (value > 0);
+
+    return code.padStart(length, this.alphabet[0]);
+  }
+}
+
+export default CounterShortCodeGenerator;
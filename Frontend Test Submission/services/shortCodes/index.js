@@ -0,0 +1,51 @@
+import RandomShortCodeGenerator from './random.js';
+import CounterShortCodeGenerator from './counter.js';
+import PronounceableShortCodeGenerator from './pronounceable.js';
+
+export const MAX_SHORT_CODE_LENGTH = 20;
+
+export const ALPHABETS = {
+  base62: '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  // No 0/O/o, 1/l/I or other pairs that are easy to misread or mistype
+  readable: '23456789abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ'
+};
+
+export const SHORT_CODE_STRATEGIES = ['random', 'counter', 'readable', 'pronounceable'];
+
+// Generated codes have to pass the same format check as custom ones
+const validateAlphabet = (alphabet) => {
+  const characters = Array.from(new Set(alphabet));
+  if (characters.length < 2 || characters.some(char => !/^[a-zA-Z0-9]$/.test(char))) {
+    throw new Error('Shortcode alphabet needs at least two distinct letters or digits');
+  }
+  return characters.join('');
+};
+
+// Generators implement `name`, `namespaceSize(length)` and
+// `generate(length, { count })`, where `count` is the number of existing links.
+export function createShortCodeGenerator(type = 'random', { alphabet = '' } = {}) {
+  switch (type) {
+    case 'random':
+      return new RandomShortCodeGenerator(validateAlphabet(alphabet || ALPHABETS.base62));
+    case 'readable':
+      return new RandomShortCodeGenerator(validateAlphabet(alphabet || ALPHABETS.readable), 'readable');
+    case 'counter':
+      return new CounterShortCodeGenerator(validateAlphabet(alphabet || ALPHABETS.base62));
+    case 'pronounceable':
+      return new PronounceableShortCodeGenerator();
+    default:
+      throw new Error(`Unknown shortcode strategy: ${type}`);
+  }
+}
+
+// Keeps the namespace at most half full, so random codes rarely collide and
+// the length grows on its own as links pile up.
+export function initialCodeLength(generator, count, minLength) {
+  let length = minLength;
+  while (length < MAX_SHORT_CODE_LENGTH && count >= generator.namespaceSize(length) / 2) {
+    length++;
+  }
+  return length;
+}
+
+export { RandomShortCodeGenerator, CounterShortCodeGenerator, PronounceableShortCodeGenerator };
@@ -0,0 +1,39 @@
+import { getShortCodeSettings } from '../config.js';
+import { MAX_SHORT_CODE_LENGTH } from './index.js';
+
+// Letters and digits from any script, joined by single hyphens or
+// underscores: "promo", "summer-sale", "été_2024", "東京"
+const SHORT_CODE_PATTERN = /^[\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:[-_][\p{L}\p{M}\p{N}]+)*$/u;
+
+export const SHORT_CODE_HINT = `Letters, numbers, - and _, max ${MAX_SHORT_CODE_LENGTH} characters`;
+
+// Compatibility-composed (NFKC) form, so "é" typed as one character or as
+// "e" + accent is the same code, and fullwidth "ｐｒｏｍｏ" is plain "promo"
+export const normalizeShortCode = (shortCode) => String(shortCode ?? '').trim().normalize('NFKC');
+
+export const isCaseInsensitive = () => getShortCodeSettings().caseInsensitive;
+
+// Identity used to compare codes. In case-insensitive mode "Promo" and "promo"
+// share a key; the code is still stored and shown as it was created.
+export const shortCodeKey = (shortCode) => {
+  const normalized = normalizeShortCode(shortCode);
+  return isCaseInsensitive() ? normalized.toLowerCase() : normalized;
+};
+
+export const sameShortCode = (a, b) => shortCodeKey(a) === shortCodeKey(b);
+
+// Counted in characters the user sees, not UTF-16 units
+export const shortCodeLength = (shortCode) => Array.from(normalizeShortCode(shortCode)).length;
+
+export function getShortCodeFormatError(shortCode) {
+  const normalized = normalizeShortCode(shortCode);
+  if (shortCodeLength(normalized) > MAX_SHORT_CODE_LENGTH) {
+    return `Custom shortcode can be at most ${MAX_SHORT_CODE_LENGTH} characters`;
+  }
+  if (!SHORT_CODE_PATTERN.test(normalized)) {
+    return 'Custom shortcode can only use letters, numbers and single - or _ between them';
+  }
+  return null;
+}
+
+export const isValidShortCodeFormat = (shortCode) => !getShortCodeFormatError(shortCode);
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeShortCode, sameShortCode } from './policy.js';
+import { getReservedReason } from './reserved.js';
+
+test('fullwidth codes fold to their plain form', () => {
+  assert.equal(normalizeShortCode('ｐｒｏｍｏ２０２６'), 'promo2026');
+  assert.equal(normalizeShortCode('e\u0301te\u0301'), '\u00e9t\u00e9');
+});
+
+test('fullwidth spellings of reserved and profane words are rejected', () => {
+  assert.match(getReservedReason('ｓｔａｔｉｓｔｉｃｓ'), /used by one of the app's own pages/);
+  assert.match(getReservedReason('ＡＤＭＩＮ'), /reserved word/);
+  assert.match(getReservedReason('ｍｙｓｈｉｔ'), /not allowed/);
+});
+
+test('fullwidth codes collide with their plain form', (t) => {
+  assert.ok(sameShortCode('ｐｒｏｍｏ', 'promo'));
+  assert.ok(!sameShortCode('ＰＲＯＭＯ', 'promo'));
+
+  process.env.SHORT_CODE_CASE_INSENSITIVE = 'true';
+  t.after(() => { delete process.env.SHORT_CODE_CASE_INSENSITIVE; });
+  assert.ok(sameShortCode('ＰＲＯＭＯ', 'promo'));
+});
@@ -0,0 +1,33 @@
+import { randomIndex } from './random.js';
+
+const CONSONANTS = 'bdfghjkmnprstvz';
+const VOWELS = 'aeiou';
+
+// Alternating consonants and vowels ("kobira", "tusemo") that are easy to read
+// out loud. The configured alphabet does not apply.
+class PronounceableShortCodeGenerator {
+  constructor() {
+    this.name = 'pronounceable';
+  }
+
+  letterSet(position) {
+    return position % 2 === 0 ? CONSONANTS : VOWELS;
+  }
+
+  namespaceSize(length) {
+    let size = 1;
+    for (let i = 0; i < length; i++) size *= this.letterSet(i).length;
+    return size;
+  }
+
+  generate(length) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      const letters = this.letterSet(i);
+      code += letters[randomIndex(letters.length)];
+    }
+    return code;
+  }
+}
+
+export default PronounceableShortCodeGenerator;
@@ -0,0 +1,32 @@
+// Unbiased index in [0, size): bytes that would wrap unevenly are redrawn
+export const randomIndex = (size) => {
+  const limit = 256 - (256 % size);
+  const byte = new Uint8Array(1);
+  do {
+    crypto.getRandomValues(byte);
+  } while (byte[0] >= limit);
+  return byte[0] % size;
+};
+
+// Every character drawn independently from `alphabet` with
+// `crypto.getRandomValues`, so codes cannot be predicted from earlier ones.
+class RandomShortCodeGenerator {
+  constructor(alphabet, name = 'random') {
+    this.name = name;
+    this.alphabet = alphabet;
+  }
+
+  namespaceSize(length) {
+    return this.alphabet.length ** length;
+  }
+
+  generate(length) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += this.alphabet[randomIndex(this.alphabet.length)];
+    }
+    return code;
+  }
+}
+
+export default RandomShortCodeGenerator;
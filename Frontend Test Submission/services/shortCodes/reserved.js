@@ -0,0 +1,59 @@
+import { API_PREFIX, APP_ROUTES } from '../routes.js';
+import { getReservedShortCodes } from '../config.js';
+
+// Names a future page, API or static file is likely to want, on top of the
+// routes that exist today. More can be added with RESERVED_SHORT_CODES.
+const DEFAULT_RESERVED = [
+  'about', 'account', 'admin', 'api', 'app', 'assets', 'auth', 'contact', 'dashboard', 'delete', 'docs',
+  'edit', 'favicon', 'help', 'index', 'link', 'links', 'login', 'logout', 'manifest', 'new', 'oauth',
+  'privacy', 'register', 'robots', 'settings', 'signin', 'signup', 'sitemap', 'static', 'stats', 'status',
+  'support', 'terms', 'user', 'users', 'www'
+];
+
+// Rejected anywhere inside a code
+const PROFANE_FRAGMENTS = ['fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'nigger', 'faggot', 'wanker', 'twat'];
+
+// Only rejected as the whole code; as fragments they appear in ordinary words
+// ("class", "dickens", "scrapbook")
+const PROFANE_WORDS = ['ass', 'arse', 'cock', 'dick', 'piss', 'porn', 'prick', 'pussy', 'rape', 'sex', 'tits', 'crap', 'damn', 'fag', 'nazi'];
+
+// Digits and symbols people swap in to dodge a word list ("adm1n", "sh1t")
+const LOOK_ALIKES = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g', '@': 'a', $: 's', '!': 'i', '|': 'i'
+};
+
+// Folds width, case, look-alike characters and separators so "Adm1n",
+// "a-d-m-i-n", "ＡＤＭＩＮ" and "ADMIN" all compare equal
+export const confusableKey = (shortCode) => String(shortCode)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[-_.]/g, '')
+  .replace(/./g, char => LOOK_ALIKES[char] || char)
+  .replace(/l/g, 'i');
+
+const routeWords = () => [...APP_ROUTES, API_PREFIX]
+  .map(route => route.split('/').filter(Boolean)[0])
+  .filter(Boolean);
+
+const keySet = (words) => new Set(words.map(confusableKey));
+
+export function getReservedWords() {
+  return Array.from(new Set([...routeWords(), ...DEFAULT_RESERVED, ...getReservedShortCodes()]));
+}
+
+// Why a code can't be used regardless of availability, or null. Checked for
+// custom codes and for generated ones alike.
+export function getReservedReason(shortCode) {
+  const key = confusableKey(shortCode);
+
+  if (keySet(routeWords()).has(key)) {
+    return `"${shortCode}" is used by one of the app's own pages`;
+  }
+  if (keySet(getReservedWords()).has(key)) {
+    return `"${shortCode}" is a reserved word`;
+  }
+  if (keySet(PROFANE_WORDS).has(key) || PROFANE_FRAGMENTS.some(word => key.includes(confusableKey(word)))) {
+    return `"${shortCode}" contains language that is not allowed`;
+  }
+  return null;
+}
@@ -0,0 +1,50 @@
+import { MAX_SHORT_CODE_LENGTH } from './index.js';
+import { normalizeShortCode, shortCodeLength } from './policy.js';
+import { randomIndex } from './random.js';
+
+const PREFIXES = ['get', 'go', 'my'];
+const SUFFIXES = ['hq', 'now', 'app'];
+const RANDOM_SUFFIX = '23456789abcdefghjkmnpqrstuvwxyz';
+
+const randomSuffix = (length) => Array.from({ length }, () => RANDOM_SUFFIX[randomIndex(RANDOM_SUFFIX.length)]).join('');
+
+// Candidates in order of preference: a number on the end keeps the word
+// intact, then short prefixes and suffixes, then a random tail.
+// Slugs that already use a separator get one before the added part too
+// ("summer-sale" → "summer-sale-2"). Lengths count characters, not UTF-16 units.
+const candidatesFor = (base, now) => {
+  const separator = base.match(/[-_]/)?.[0] || '';
+  const fit = (code) => Array.from(code).slice(0, MAX_SHORT_CODE_LENGTH).join('');
+  const stem = Array.from(base).slice(0, MAX_SHORT_CODE_LENGTH - 3 - separator.length).join('');
+  const append = (tail) => fit(`${stem}${separator}${tail}`);
+  return [
+    ...Array.from({ length: 8 }, (_, i) => append(i + 2)),
+    append(String(now.getFullYear()).slice(-2)),
+    ...PREFIXES.map(prefix => fit(`${prefix}${separator}${stem}`)),
+    ...SUFFIXES.map(suffix => append(suffix)),
+    ...Array.from({ length: 4 }, () => append(randomSuffix(3)))
+  ];
+};
+
+// Ranked alternatives to a shortcode that is taken or reserved. `isUsable`
+// decides whether a candidate could be created right now.
+export function suggestShortCodes(requested, { isUsable, limit = 3, now = new Date() }) {
+  const base = normalizeShortCode(requested)
+    .replace(/[^\p{L}\p{M}\p{N}_-]/gu, '')
+    .replace(/[-_]{2,}/g, match => match[0])
+    .replace(/^[-_]+|[-_]+$/g, '');
+  if (!base) return [];
+
+  const suggestions = [];
+  candidatesFor(base, now).forEach((code, rank) => {
+    if (code === normalizeShortCode(requested) || suggestions.some(suggestion => suggestion.code === code)) return;
+    if (!isUsable(code)) return;
+    suggestions.push({ code, rank });
+  });
+
+  // Closest in length to what was asked for first, then by preference
+  return suggestions
+    .sort((a, b) => Math.abs(shortCodeLength(a.code) - shortCodeLength(base)) - Math.abs(shortCodeLength(b.code) - shortCodeLength(base)) || a.rank - b.rank)
+    .slice(0, limit)
+    .map(suggestion => suggestion.code);
+}
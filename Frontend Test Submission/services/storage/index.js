@@ -0,0 +1,82 @@
+import MemoryStorage from './memoryStorage.js';
+import LocalStorageAdapter from './localStorageAdapter.js';
+import IndexedDBStorage from './indexedDBStorage.js';
+import logger from '../../middleware/logger.js';
+
+const LEGACY_KEY = 'shortened_urls';
+
+export const hasIndexedDB = () => typeof globalThis.indexedDB !== 'undefined';
+
+export const hasLocalStorage = () => {
+  try {
+    return typeof globalThis.localStorage !== 'undefined' && globalThis.localStorage !== null;
+  } catch {
+    return false;
+  }
+};
+
+export function createStorage(type = 'auto') {
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'localStorage':
+      return new LocalStorageAdapter();
+    case 'indexedDB':
+      return new IndexedDBStorage();
+    case 'auto':
+      if (hasIndexedDB()) return new IndexedDBStorage();
+      if (hasLocalStorage()) return new LocalStorageAdapter();
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+const parseLegacyURLs = (stored) => {
+  try {
+    const legacyURLs = JSON.parse(stored);
+    return Array.isArray(legacyURLs) ? legacyURLs : null;
+  } catch {
+    return null;
+  }
+};
+
+// Earlier versions kept every link, clicks included, in a single
+// `shortened_urls` array. Split it into per-record writes on first load.
+// Writes are upserts with stable click ids, so a migration that was
+// interrupted, or raced by another tab, can simply run again. Call it under
+// the write lock.
+export async function migrateLegacyStorage(storage) {
+  if (!hasLocalStorage()) return 0;
+
+  const stored = globalThis.localStorage.getItem(LEGACY_KEY);
+  if (!stored) return 0;
+
+  const legacyURLs = parseLegacyURLs(stored);
+  if (!legacyURLs) {
+    // Left in place so nothing is lost; the app starts without those links
+    logger.error('Legacy URL storage is unreadable and was skipped', { key: LEGACY_KEY });
+    return 0;
+  }
+
+  const links = legacyURLs.filter(link => link && typeof link.shortCode === 'string' && link.shortCode);
+  for (const { clicks, totalClicks, ...link } of links) {
+    await storage.putLink(link);
+    const linkClicks = (Array.isArray(clicks) ? clicks : []).map((click, index) => ({
+      ...click,
+      id: click.id ?? `${link.shortCode}:${index}`,
+      shortCode: link.shortCode
+    }));
+    if (linkClicks.length > 0) await storage.putClicks(linkClicks);
+  }
+  globalThis.localStorage.removeItem(LEGACY_KEY);
+
+  if (links.length < legacyURLs.length) {
+    logger.warn('Legacy links without a shortcode were skipped', { skipped: legacyURLs.length - links.length });
+  }
+
+  logger.info('Legacy URL storage migrated', { count: links.length, storage: storage.name });
+  return links.length;
+}
+
+export { MemoryStorage, LocalStorageAdapter, IndexedDBStorage };
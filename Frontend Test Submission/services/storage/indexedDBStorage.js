@@ -0,0 +1,93 @@
+const DB_NAME = 'linkshort';
+const DB_VERSION = 1;
+const LINKS_STORE = 'links';
+const CLICKS_STORE = 'clicks';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class IndexedDBStorage {
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.name = 'indexedDB';
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return this;
+
+    const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(LINKS_STORE)) {
+        db.createObjectStore(LINKS_STORE, { keyPath: 'shortCode' });
+      }
+      if (!db.objectStoreNames.contains(CLICKS_STORE)) {
+        const clicks = db.createObjectStore(CLICKS_STORE, { keyPath: 'id' });
+        clicks.createIndex('shortCode', 'shortCode', { unique: false });
+      }
+    };
+
+    this.db = await promisify(request);
+    return this;
+  }
+
+  store(name, mode = 'readonly') {
+    return this.db.transaction(name, mode).objectStore(name);
+  }
+
+  async getLinks() {
+    return promisify(this.store(LINKS_STORE).getAll());
+  }
+
+  async getLink(shortCode) {
+    const link = await promisify(this.store(LINKS_STORE).get(shortCode));
+    return link || null;
+  }
+
+  async putLink(link) {
+    await promisify(this.store(LINKS_STORE, 'readwrite').put(link));
+  }
+
+  async deleteLink(shortCode) {
+    const transaction = this.db.transaction([LINKS_STORE, CLICKS_STORE], 'readwrite');
+    transaction.objectStore(LINKS_STORE).delete(shortCode);
+
+    const clicks = transaction.objectStore(CLICKS_STORE);
+    const keys = await promisify(clicks.index('shortCode').getAllKeys(shortCode));
+    keys.forEach(key => clicks.delete(key));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getClicks(shortCode) {
+    return promisify(this.store(CLICKS_STORE).index('shortCode').getAll(shortCode));
+  }
+
+  async getAllClicks() {
+    return promisify(this.store(CLICKS_STORE).getAll());
+  }
+
+  async addClick(click) {
+    await promisify(this.store(CLICKS_STORE, 'readwrite').add(click));
+  }
+
+  // Replaces clicks with the same id and adds the rest
+  async putClicks(updates) {
+    const transaction = this.db.transaction(CLICKS_STORE, 'readwrite');
+    const clicks = transaction.objectStore(CLICKS_STORE);
+    updates.forEach(update => clicks.put(update));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+export default IndexedDBStorage;
@@ -0,0 +1,82 @@
+const INDEX_KEY = 'linkshort:links';
+const linkKey = (shortCode) => `linkshort:link:${shortCode}`;
+const clicksKey = (shortCode) => `linkshort:clicks:${shortCode}`;
+
+// Each link and each link's click list live under their own key, so a write
+// only touches the record that changed instead of the whole collection.
+class LocalStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    this.name = 'localStorage';
+    this.storage = storage;
+  }
+
+  async init() {
+    return this;
+  }
+
+  read(key, fallback) {
+    const stored = this.storage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  }
+
+  write(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async getLinks() {
+    return this.read(INDEX_KEY, [])
+      .map(shortCode => this.read(linkKey(shortCode), null))
+      .filter(Boolean);
+  }
+
+  async getLink(shortCode) {
+    return this.read(linkKey(shortCode), null);
+  }
+
+  async putLink(link) {
+    const index = this.read(INDEX_KEY, []);
+    if (!index.includes(link.shortCode)) {
+      index.push(link.shortCode);
+      this.write(INDEX_KEY, index);
+    }
+    this.write(linkKey(link.shortCode), link);
+  }
+
+  async deleteLink(shortCode) {
+    this.write(INDEX_KEY, this.read(INDEX_KEY, []).filter(code => code !== shortCode));
+    this.storage.removeItem(linkKey(shortCode));
+    this.storage.removeItem(clicksKey(shortCode));
+  }
+
+  async getClicks(shortCode) {
+    return this.read(clicksKey(shortCode), []);
+  }
+
+  async getAllClicks() {
+    return this.read(INDEX_KEY, []).flatMap(shortCode => this.read(clicksKey(shortCode), []));
+  }
+
+  async addClick(click) {
+    const clicks = this.read(clicksKey(click.shortCode), []);
+    clicks.push(click);
+    this.write(clicksKey(click.shortCode), clicks);
+  }
+
+  // Replaces clicks with the same id and adds the rest
+  async putClicks(updates) {
+    const byCode = new Map();
+    updates.forEach(update => byCode.set(update.shortCode, [...(byCode.get(update.shortCode) || []), update]));
+
+    byCode.forEach((codeUpdates, shortCode) => {
+      const updatesById = new Map(codeUpdates.map(update => [update.id, update]));
+      const clicks = this.read(clicksKey(shortCode), []);
+      const existingIds = new Set(clicks.map(click => click.id));
+      this.write(clicksKey(shortCode), [
+        ...clicks.map(click => updatesById.get(click.id) || click),
+        ...Array.from(updatesById.values()).filter(update => !existingIds.has(update.id))
+      ]);
+    });
+  }
+}
+
+export default LocalStorageAdapter;
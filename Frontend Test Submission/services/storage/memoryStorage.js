@@ -0,0 +1,59 @@
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.links = new Map();
+    this.clicks = new Map();
+  }
+
+  async init() {
+    return this;
+  }
+
+  async getLinks() {
+    return Array.from(this.links.values()).map(link => ({ ...link }));
+  }
+
+  async getLink(shortCode) {
+    const link = this.links.get(shortCode);
+    return link ? { ...link } : null;
+  }
+
+  async putLink(link) {
+    this.links.set(link.shortCode, { ...link });
+  }
+
+  async deleteLink(shortCode) {
+    this.links.delete(shortCode);
+    this.clicks.delete(shortCode);
+  }
+
+  async getClicks(shortCode) {
+    return (this.clicks.get(shortCode) || []).map(click => ({ ...click }));
+  }
+
+  async getAllClicks() {
+    return Array.from(this.clicks.values()).flat().map(click => ({ ...click }));
+  }
+
+  async addClick(click) {
+    const clicks = this.clicks.get(click.shortCode) || [];
+    clicks.push({ ...click });
+    this.clicks.set(click.shortCode, clicks);
+  }
+
+  // Replaces clicks with the same id and adds the rest
+  async putClicks(updates) {
+    updates.forEach(update => {
+      const clicks = this.clicks.get(update.shortCode) || [];
+      const index = clicks.findIndex(click => click.id === update.id);
+      if (index !== -1) {
+        clicks[index] = { ...update };
+      } else {
+        clicks.push({ ...update });
+      }
+      this.clicks.set(update.shortCode, clicks);
+    });
+  }
+}
+
+export default MemoryStorage;
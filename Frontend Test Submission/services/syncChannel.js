@@ -0,0 +1,86 @@
+import logger from '../middleware/logger.js';
+
+const CHANNEL_NAME = 'linkshort-sync';
+const LOCK_NAME = 'linkshort-write';
+const SYNC_KEY = 'linkshort:sync';
+const RECORD_KEY = /^linkshort:(link|clicks):(.+)$/;
+
+const isBrowser = typeof window !== 'undefined';
+
+// Tail of the in-process queue used where the Web Locks API is unavailable
+let pendingWrite = Promise.resolve();
+
+// Runs `callback` while holding an exclusive lock shared by every tab, so
+// read-modify-write sequences against storage never interleave. Where the Web
+// Locks API is unavailable (Node, older browsers) callbacks are queued so they
+// at least run one at a time within this process. Not reentrant either way.
+export function withWriteLock(callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(LOCK_NAME, callback);
+  }
+  const result = pendingWrite.then(() => callback());
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+class SyncChannel {
+  constructor() {
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    this.handlers = new Set();
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.dispatch(event.data);
+    }
+    window.addEventListener('storage', this.handleStorageEvent);
+  }
+
+  // Storage events cover tabs without BroadcastChannel, and also fire when the
+  // localStorage adapter writes a record directly.
+  handleStorageEvent = (event) => {
+    if (!event.key) return;
+
+    if (event.key === SYNC_KEY && event.newValue) {
+      this.dispatch(JSON.parse(event.newValue));
+      return;
+    }
+
+    const match = event.key.match(RECORD_KEY);
+    if (match) {
+      this.dispatch({ type: 'refresh', shortCode: match[2] });
+    }
+  };
+
+  dispatch(message) {
+    if (!message || message.tabId === this.tabId) return;
+    this.handlers.forEach(handler => handler(message));
+  }
+
+  publish(message) {
+    const payload = { ...message, tabId: this.tabId, sentAt: Date.now() };
+    try {
+      if (this.channel) {
+        this.channel.postMessage(payload);
+      } else {
+        localStorage.setItem(SYNC_KEY, JSON.stringify(payload));
+      }
+    } catch (error) {
+      logger.warn('Failed to broadcast sync message', { type: message.type, error: error.message });
+    }
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  close() {
+    this.channel?.close();
+    window.removeEventListener('storage', this.handleStorageEvent);
+    this.handlers.clear();
+  }
+}
+
+export function createSyncChannel() {
+  return isBrowser ? new SyncChannel() : null;
+}
@@ -0,0 +1,96 @@
+import { getAllowedSchemes, getBrandedDomains } from './config.js';
+import { ALLOWED_DOMAINS, BLOCKED_DOMAINS } from './domainLists.js';
+import { ERROR_CODES } from './errors.js';
+import { sameShortCode } from './shortCodes/policy.js';
+
+// Short links may point at other short links, but only this many hops deep
+export const MAX_REDIRECT_CHAIN = 5;
+
+const SHORT_CODE_PATH = /^\/([^/]+)\/?$/;
+
+const parseURL = (url) => {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+};
+
+const normalizeDomain = (domain) => String(domain).trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+
+export const matchesDomain = (hostname, domains) => {
+  const host = normalizeDomain(hostname);
+  return domains.map(normalizeDomain).some(domain => host === domain || host.endsWith(`.${domain}`));
+};
+
+const shortLinkHosts = () => getBrandedDomains()
+  .map(domain => parseURL(domain)?.host.toLowerCase())
+  .filter(Boolean);
+
+// The shortcode a URL on one of our own domains would resolve, or null for
+// anything else (including app pages such as /statistics, which are not links)
+export function shortCodeFromURL(url) {
+  const parsed = parseURL(url);
+  if (!parsed || !shortLinkHosts().includes(parsed.host.toLowerCase())) return null;
+
+  const match = parsed.pathname.match(SHORT_CODE_PATH);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+const violation = (code, message) => ({ code, message });
+
+// Follows a destination through short links on our own domains. Returns the
+// first code seen twice, or `null` when the chain ends at an outside URL or
+// an unknown code.
+const findLoop = (url, shortCode, findLink) => {
+  const chain = shortCode ? [shortCode] : [];
+  let target = url;
+
+  for (;;) {
+    const code = shortCodeFromURL(target);
+    if (!code) return null;
+
+    chain.push(code);
+    if (chain.findIndex(entry => sameShortCode(entry, code)) !== chain.length - 1) {
+      return violation(ERROR_CODES.REDIRECT_LOOP, `Destination creates a redirect loop (${chain.join(' → ')})`);
+    }
+    if (chain.length > MAX_REDIRECT_CHAIN) {
+      return violation(ERROR_CODES.REDIRECT_LOOP, `Destination chains through more than ${MAX_REDIRECT_CHAIN} short links`);
+    }
+
+    const link = findLink(code);
+    if (!link) return null;
+    target = link.originalURL;
+  }
+};
+
+// Checks a destination against the configured schemes, the local domain lists
+// and redirect loops. `shortCode` is the link the URL belongs to (if any) and
+// `findLink` looks up other links by code. Returns `{ code, message }` for the
+// first rule broken, or null when the URL may be used.
+export function getURLPolicyViolation(url, { shortCode = null, findLink = () => null } = {}) {
+  const parsed = parseURL(url);
+  if (!parsed) {
+    return violation(ERROR_CODES.INVALID_URL, 'Invalid URL format');
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '').toLowerCase();
+  if (!getAllowedSchemes().includes(scheme)) {
+    return violation(ERROR_CODES.INVALID_URL, `URLs using the "${scheme}:" scheme are not allowed`);
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (matchesDomain(host, BLOCKED_DOMAINS)) {
+    return violation(ERROR_CODES.BLOCKED_DESTINATION, `Links to ${host} are blocked`);
+  }
+  if (ALLOWED_DOMAINS.length > 0 && !matchesDomain(host, ALLOWED_DOMAINS)) {
+    return violation(ERROR_CODES.BLOCKED_DESTINATION, `${host} is not on the list of allowed domains`);
+  }
+
+  return findLoop(url, shortCode, findLink);
+}
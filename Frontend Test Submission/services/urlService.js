@@ -1,44 +1,225 @@
+import logger from '../middleware/logger.js';
+import { createStorage, migrateLegacyStorage } from './storage/index.js';
+import { URLServiceError, ERROR_CODES } from './errors.js';
+import {
+  getBaseURL,
+  getClickDedupeMinutes,
+  getShortCodeSettings,
+  isConfiguredDomain,
+  resolveDomain,
+  shouldReuseExistingLinks
+} from './config.js';
+import { createSyncChannel, withWriteLock } from './syncChannel.js';
+import { hashPassword, isValidPasswordHash, verifyPassword } from './passwordHash.js';
+import { createGeolocationProvider, unknownLocation } from './geolocation/index.js';
+import { getClientHints, parseUserAgent } from './userAgent.js';
+import { getVisitorId } from './visitorId.js';
+import { getURLPolicyViolation } from './urlPolicy.js';
+import { normalizeDestination } from './destinations.js';
+import { MAX_SHORT_CODE_LENGTH, createShortCodeGenerator, initialCodeLength } from './shortCodes/index.js';
+import { getReservedReason } from './shortCodes/reserved.js';
+import { suggestShortCodes } from './shortCodes/suggestions.js';
+import { getShortCodeFormatError, normalizeShortCode, sameShortCode, shortCodeKey } from './shortCodes/policy.js';
 
-import logger from '@/middleware/logger';
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_MINUTES = 15;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 32;
+export const MAX_CAMPAIGN_LENGTH = 64;
+const EXPIRING_SOON_MINUTES = 60;
+const SHORT_CODE_ATTEMPTS_PER_LENGTH = 5;
+
+// The only fields an import may set; anything else in the file is dropped
+const IMPORTED_LINK_FIELDS = [
+  'id', 'shortCode', 'originalURL', 'domain', 'tags', 'campaign', 'createdAt', 'updatedAt',
+  'activatesAt', 'expiresAt', 'validityMinutes', 'maxClicks', 'deactivatedAt', 'passwordHash'
+];
+const IMPORTED_CLICK_FIELDS = [
+  'id', 'timestamp', 'source', 'location', 'referrer', 'referrerHost', 'utm', 'ref', 'userAgent',
+  'visitorId', 'browser', 'browserVersion', 'os', 'osVersion', 'deviceType', 'isBot'
+];
+
+const pickFields = (record, fields) => Object.fromEntries(
+  fields.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+);
+const isDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isTagList = (tags) => tags == null || (Array.isArray(tags) && tags.every(tag => typeof tag === 'string'));
+
+const SORT_KEYS = {
+  createdAt: url => new Date(url.createdAt).getTime(),
+  expiresAt: url => new Date(url.expiresAt).getTime(),
+  clicks: url => url.totalClicks
+};
 
 class URLService {
-  constructor() {
-    this.urls = this.loadURLs();
-    this.initializeService();
+  constructor(
+    storage = createStorage(),
+    sync = createSyncChannel(),
+    geolocation = createGeolocationProvider(),
+    shortCodes = createShortCodeGenerator(getShortCodeSettings().strategy, getShortCodeSettings())
+  ) {
+    this.storage = storage;
+    this.sync = sync;
+    this.geolocation = geolocation;
+    this.shortCodes = shortCodes;
+    this.urls = [];
+    this.listeners = new Set();
+    // Failed password attempts per link and visitor, kept in memory only
+    this.passwordAttempts = new Map();
+    this.ready = this.loadURLs();
+
+    if (this.sync) {
+      this.sync.subscribe(message => this.handleSyncMessage(message));
+    }
   }
 
   initializeService() {
-    logger.info('URL Service initialized', { urlCount: this.urls.length });
+    logger.info('URL Service initialized', { urlCount: this.urls.length, storage: this.storage.name });
   }
 
-  loadURLs() {
+  async loadURLs() {
     try {
-      const stored = localStorage.getItem('shortened_urls');
-      const urls = stored ? JSON.parse(stored) : [];
-      logger.info('URLs loaded from storage', { count: urls.length });
-      return urls;
+      await this.storage.init();
+      await withWriteLock(() => migrateLegacyStorage(this.storage));
+
+      const [links, storedClicks] = await Promise.all([
+        this.storage.getLinks(),
+        this.storage.getAllClicks()
+      ]);
+      const clicks = await this.backfillClickDevices(storedClicks);
+      // One pass over the clicks, so loading stays linear in links + clicks
+      const clicksByCode = new Map();
+      clicks.forEach(click => {
+        if (!clicksByCode.has(click.shortCode)) clicksByCode.set(click.shortCode, []);
+        clicksByCode.get(click.shortCode).push(click);
+      });
+      this.urls = links.map(link => this.hydrateURL(link, clicksByCode.get(link.shortCode) || []));
+      logger.info('URLs loaded from storage', { count: this.urls.length });
     } catch (error) {
       logger.error('Failed to load URLs from storage', error);
-      return [];
+      this.urls = [];
+    }
+    this.initializeService();
+  }
+
+  // Clicks recorded before user agents were parsed only carry the raw string.
+  // Parse those once and write the fields back so every click has them.
+  async backfillClickDevices(clicks) {
+    const pending = clicks.filter(click => click.deviceType === undefined);
+    if (pending.length === 0) return clicks;
+
+    const updates = new Map(pending.map(click => [click.id, { ...click, ...parseUserAgent(click.userAgent) }]));
+    try {
+      await withWriteLock(() => this.storage.putClicks(Array.from(updates.values())));
+      logger.info('Backfilled device details for stored clicks', { count: updates.size });
+    } catch (error) {
+      logger.error('Failed to backfill device details for stored clicks', { error: error.message });
+    }
+    return clicks.map(click => updates.get(click.id) || click);
+  }
+
+  // `linkClicks` are the clicks of this link only
+  hydrateURL(link, linkClicks) {
+    const clicks = [...linkClicks].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return { ...link, clicks, totalClicks: clicks.length };
+  }
+
+  serializeURL(urlData) {
+    const { clicks, totalClicks, shortURL, ...link } = urlData;
+    return link;
+  }
+
+  // The short URL is derived on every read so stored links follow changes to
+  // the configured base URL or branded domains.
+  buildShortURL(urlData) {
+    return `${resolveDomain(urlData.domain)}/${urlData.shortCode}`;
+  }
+
+  // Links on the default domain store `null` so they follow base URL changes.
+  normalizeDomain(domain) {
+    const resolved = resolveDomain(domain);
+    return resolved === getBaseURL() ? null : resolved;
+  }
+
+  withShortURL(urlData) {
+    if (urlData) {
+      urlData.shortURL = this.buildShortURL(urlData);
+    }
+    return urlData;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyChange(change, { broadcast = true } = {}) {
+    if (broadcast && this.sync) {
+      this.sync.publish(change);
+    }
+    this.listeners.forEach(listener => listener(change));
+  }
+
+  // Re-reads one link and its clicks from storage, replacing whatever this
+  // tab has cached. Storage is the source of truth shared by every tab.
+  async refreshURL(shortCode) {
+    const link = await this.storage.getLink(shortCode);
+    const index = this.urls.findIndex(url => url.shortCode === shortCode);
+
+    if (!link) {
+      if (index !== -1) this.urls.splice(index, 1);
+      return null;
+    }
+
+    const urlData = this.hydrateURL(link, await this.storage.getClicks(shortCode));
+    if (index === -1) {
+      this.urls.push(urlData);
+    } else {
+      this.urls[index] = urlData;
+    }
+    return urlData;
+  }
+
+  async handleSyncMessage(message) {
+    await this.ready;
+    try {
+      await this.refreshURL(message.shortCode);
+      logger.debug('Synced change from another tab', { type: message.type, shortCode: message.shortCode });
+      this.notifyChange(message, { broadcast: false });
+    } catch (error) {
+      logger.error('Failed to sync change from another tab', { shortCode: message.shortCode, error: error.message });
     }
   }
 
-  saveURLs() {
+  async saveURL(urlData) {
     try {
-      localStorage.setItem('shortened_urls', JSON.stringify(this.urls));
-      logger.info('URLs saved to storage', { count: this.urls.length });
+      await this.storage.putLink(this.serializeURL(urlData));
+      logger.info('URL saved to storage', { shortCode: urlData.shortCode });
     } catch (error) {
-      logger.error('Failed to save URLs to storage', error);
+      logger.error('Failed to save URL to storage', error);
+      throw error;
     }
   }
 
-  generateShortCode(length = 6) {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+  // Starts at the length that keeps the namespace at most half full and moves
+  // to longer codes after a few collisions, so allocation always terminates.
+  // Call while holding the write lock.
+  async generateShortCode() {
+    const count = this.urls.length;
+    const startLength = initialCodeLength(this.shortCodes, count, getShortCodeSettings().length);
+
+    for (let length = startLength; length <= MAX_SHORT_CODE_LENGTH; length++) {
+      for (let attempt = 0; attempt < SHORT_CODE_ATTEMPTS_PER_LENGTH; attempt++) {
+        const shortCode = this.shortCodes.generate(length, { count });
+        if (!getReservedReason(shortCode) && await this.isShortCodeAvailable(shortCode)) return shortCode;
+      }
+      logger.warn('Shortcode collisions, trying longer codes', { strategy: this.shortCodes.name, length: length + 1 });
     }
-    return result;
+
+    const error = 'Could not generate a unique shortcode';
+    logger.error(error, { strategy: this.shortCodes.name, count });
+    throw new URLServiceError(error, ERROR_CODES.SHORT_CODE_UNAVAILABLE);
   }
 
   isValidURL(url) {
@@ -50,79 +231,818 @@ class URLService {
     }
   }
 
+  // Alternatives offered when a custom shortcode is taken or reserved
+  getShortCodeSuggestions(shortCode, limit = 3) {
+    return suggestShortCodes(shortCode, {
+      limit,
+      isUsable: code => this.isValidShortCodeFormat(code) && !getReservedReason(code) && this.isShortCodeUnique(code)
+    });
+  }
+
   isShortCodeUnique(shortCode) {
-    return !this.urls.some(url => url.shortCode === shortCode);
+    return !this.urls.some(url => sameShortCode(url.shortCode, shortCode));
   }
 
-  createShortURL(originalURL, customShortCode = null, validityMinutes = 30) {
-    logger.info('Creating short URL', { originalURL, customShortCode, validityMinutes });
+  // Also consults storage, which may hold codes created by another tab since
+  // this one loaded. Call while holding the write lock.
+  async isShortCodeAvailable(shortCode) {
+    return this.isShortCodeUnique(shortCode) && !(await this.storage.getLink(shortCode));
+  }
 
-    // Validate URL
+  // Scheme, domain list and loop checks from the URL policy. `shortCode` is
+  // the link the destination belongs to, so a link pointing at itself is caught.
+  getURLViolation(originalURL, shortCode = null) {
+    return getURLPolicyViolation(originalURL, { shortCode, findLink: code => this.findURL(code) });
+  }
+
+  validateURL(originalURL, shortCode = null) {
     if (!this.isValidURL(originalURL)) {
       const error = 'Invalid URL format';
       logger.error(error, { originalURL });
-      throw new Error(error);
+      throw new URLServiceError(error, ERROR_CODES.INVALID_URL);
     }
 
-    // Validate validity period
+    const violation = this.getURLViolation(originalURL, shortCode);
+    if (violation) {
+      logger.error(violation.message, { originalURL, shortCode, code: violation.code });
+      throw new URLServiceError(violation.message, violation.code);
+    }
+  }
+
+  validateValidity(validityMinutes) {
     if (!Number.isInteger(validityMinutes) || validityMinutes <= 0) {
       const error = 'Validity period must be a positive integer';
       logger.error(error, { validityMinutes });
-      throw new Error(error);
+      throw new URLServiceError(error, ERROR_CODES.INVALID_VALIDITY);
+    }
+  }
+
+  validateDomain(domain) {
+    if (domain != null && typeof domain !== 'string') {
+      const error = 'Domain must be a short link domain name';
+      logger.error(error, { domain });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_DOMAIN);
+    }
+    if (domain && !isConfiguredDomain(domain)) {
+      const error = 'Domain is not one of the configured short link domains';
+      logger.error(error, { domain });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_DOMAIN);
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+      const error = 'Password must be between 4 and 128 characters';
+      logger.error(error);
+      throw new URLServiceError(error, ERROR_CODES.INVALID_PASSWORD);
     }
+  }
+
+  validateMaxClicks(maxClicks) {
+    if (maxClicks !== null && (!Number.isInteger(maxClicks) || maxClicks <= 0)) {
+      const error = 'Click limit must be a positive integer';
+      logger.error(error, { maxClicks });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_MAX_CLICKS);
+    }
+  }
+
+  validateActivation(activatesAt) {
+    if (activatesAt !== null && Number.isNaN(new Date(activatesAt).getTime())) {
+      const error = 'Activation time must be a valid date';
+      logger.error(error, { activatesAt });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_ACTIVATION);
+    }
+  }
+
+  // Scheduled links are valid for `validityMinutes` from the moment they go
+  // live, not from when they were created.
+  computeExpiry(startsAt, validityMinutes) {
+    return new Date(new Date(startsAt).getTime() + validityMinutes * 60 * 1000).toISOString();
+  }
+
+  isValidShortCodeFormat(shortCode) {
+    return !getShortCodeFormatError(shortCode);
+  }
+
+  normalizeTags(tags) {
+    return Array.from(new Set(
+      (tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+    ));
+  }
+
+  // A campaign (or folder) is one free-text name per link. Names that differ
+  // only in case or spacing from an existing campaign take its spelling, so
+  // links do not end up split across near-identical campaigns.
+  normalizeCampaign(campaign) {
+    const name = String(campaign ?? '').trim().replace(/\s+/g, ' ');
+    if (!name) return null;
+    const existing = this.urls.find(url => url.campaign && url.campaign.toLowerCase() === name.toLowerCase());
+    return existing ? existing.campaign : name;
+  }
+
+  validateCampaign(campaign) {
+    if (campaign && campaign.length > MAX_CAMPAIGN_LENGTH) {
+      const error = `Campaign names can be at most ${MAX_CAMPAIGN_LENGTH} characters`;
+      logger.error(error, { campaign });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_CAMPAIGN);
+    }
+  }
+
+  // Tags arrive from JSON bodies, so the shape is checked before normalizing
+  validateTagList(tags) {
+    if (!isTagList(tags)) {
+      const error = 'Tags must be a list of text values';
+      logger.error(error, { tags });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_TAGS);
+    }
+  }
+
+  validateTags(tags) {
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      const error = `Links can have up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`;
+      logger.error(error, { tags });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_TAGS);
+    }
+  }
+
+  // Validates an entry without throwing or logging, for previews of many rows
+  getEntryErrors({ originalURL, customShortCode = null, validityMinutes = 30, tags = [], campaign = null }) {
+    const errors = [];
+    if (!this.isValidURL(originalURL)) {
+      errors.push('Invalid URL format');
+    } else {
+      const violation = this.getURLViolation(originalURL, customShortCode);
+      if (violation) errors.push(violation.message);
+    }
+    if (!Number.isInteger(validityMinutes) || validityMinutes <= 0) {
+      errors.push('Validity period must be a positive integer');
+    }
+    if (customShortCode && !this.isValidShortCodeFormat(customShortCode)) {
+      errors.push(getShortCodeFormatError(customShortCode));
+    } else if (customShortCode && getReservedReason(customShortCode)) {
+      errors.push(`Custom shortcode ${getReservedReason(customShortCode)}`);
+    } else if (customShortCode && !this.isShortCodeUnique(customShortCode)) {
+      errors.push('Custom shortcode already exists');
+    }
+    const normalizedTags = isTagList(tags) ? this.normalizeTags(tags) : null;
+    if (!normalizedTags) {
+      errors.push('Tags must be a list of text values');
+    } else if (normalizedTags.length > MAX_TAGS || normalizedTags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      errors.push(`Links can have up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`);
+    }
+    const normalizedCampaign = this.normalizeCampaign(campaign);
+    if (normalizedCampaign && normalizedCampaign.length > MAX_CAMPAIGN_LENGTH) {
+      errors.push(`Campaign names can be at most ${MAX_CAMPAIGN_LENGTH} characters`);
+    }
+    return errors;
+  }
+
+  validateBatch(entries) {
+    const seenCodes = new Set();
+    return entries.map((entry, index) => {
+      const errors = this.getEntryErrors(entry);
+      if (entry.customShortCode) {
+        const key = shortCodeKey(entry.customShortCode);
+        if (seenCodes.has(key)) {
+          errors.push('Duplicate custom shortcode in this batch');
+        }
+        seenCodes.add(key);
+      }
+      return { index, entry, errors };
+    });
+  }
+
+  // Validates and normalises everything that does not need the write lock
+  async prepareEntry(entry) {
+    const {
+      originalURL,
+      validityMinutes = 30,
+      domain = null,
+      password = null,
+      maxClicks = null,
+      activatesAt = null,
+      tags = [],
+      campaign = null
+    } = entry;
+    const customShortCode = entry.customShortCode ? normalizeShortCode(entry.customShortCode) : null;
+
+    this.validateURL(originalURL, customShortCode);
+    this.validateValidity(validityMinutes);
+    this.validateDomain(domain);
+    this.validateMaxClicks(maxClicks);
+    this.validateActivation(activatesAt);
+    if (password) this.validatePassword(password);
+
+    // Validate custom short code format
+    if (customShortCode && !this.isValidShortCodeFormat(customShortCode)) {
+      const error = getShortCodeFormatError(customShortCode);
+      logger.error(error, { customShortCode });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_SHORT_CODE);
+    }
+
+    const reservedReason = customShortCode && getReservedReason(customShortCode);
+    if (reservedReason) {
+      const error = `Custom shortcode ${reservedReason}`;
+      logger.error(error, { customShortCode });
+      throw new URLServiceError(error, ERROR_CODES.SHORT_CODE_RESERVED, {
+        suggestions: this.getShortCodeSuggestions(customShortCode)
+      });
+    }
+
+    this.validateTagList(tags);
+    const normalizedTags = this.normalizeTags(tags);
+    this.validateTags(normalizedTags);
+    const normalizedCampaign = this.normalizeCampaign(campaign);
+    this.validateCampaign(normalizedCampaign);
+
+    return {
+      originalURL,
+      customShortCode,
+      validityMinutes,
+      domain,
+      maxClicks,
+      activatesAt,
+      tags: normalizedTags,
+      campaign: normalizedCampaign,
+      passwordHash: password ? await hashPassword(password) : null
+    };
+  }
+
+  // Allocates the short code and persists the record. Call while holding the
+  // write lock.
+  async insertURL(entry) {
+    const { customShortCode, activatesAt, validityMinutes } = entry;
 
     // Handle custom short code
     let shortCode = customShortCode;
     if (customShortCode) {
-      // Validate custom short code format
-      if (!/^[a-zA-Z0-9]+$/.test(customShortCode) || customShortCode.length > 20) {
-        const error = 'Custom shortcode must be alphanumeric and max 20 characters';
-        logger.error(error, { customShortCode });
-        throw new Error(error);
-      }
-
-      if (!this.isShortCodeUnique(customShortCode)) {
+      if (!(await this.isShortCodeAvailable(customShortCode))) {
         const error = 'Custom shortcode already exists';
         logger.error(error, { customShortCode });
-        throw new Error(error);
+        throw new URLServiceError(error, ERROR_CODES.SHORT_CODE_EXISTS, {
+          suggestions: this.getShortCodeSuggestions(customShortCode)
+        });
       }
     } else {
-      // Generate unique short code
-      do {
-        shortCode = this.generateShortCode();
-      } while (!this.isShortCodeUnique(shortCode));
+      shortCode = await this.generateShortCode();
     }
 
     const now = new Date();
-    const expiryDate = new Date(now.getTime() + validityMinutes * 60 * 1000);
+    const activation = activatesAt ? new Date(activatesAt).toISOString() : null;
 
     const urlData = {
       id: Date.now() + Math.random(),
-      originalURL,
+      originalURL: entry.originalURL,
       shortCode,
-      shortURL: `http://localhost:3000/${shortCode}`,
+      domain: this.normalizeDomain(entry.domain),
+      passwordHash: entry.passwordHash,
+      tags: entry.tags,
+      campaign: entry.campaign,
       createdAt: now.toISOString(),
-      expiresAt: expiryDate.toISOString(),
+      activatesAt: activation,
+      expiresAt: this.computeExpiry(activation || now, validityMinutes),
       validityMinutes,
+      maxClicks: entry.maxClicks,
       clicks: [],
       totalClicks: 0
     };
 
+    await this.saveURL(urlData);
     this.urls.push(urlData);
-    this.saveURLs();
-
-    logger.info('Short URL created successfully', { shortCode, originalURL });
     return urlData;
   }
 
-  getURLByShortCode(shortCode) {
-    const url = this.urls.find(u => u.shortCode === shortCode);
+  // An existing link can stand in for a new one when it goes to the same
+  // destination with the same settings and can be followed right now. Custom
+  // shortcodes and passwords always get a link of their own.
+  findReusableURL(entry) {
+    if (entry.customShortCode || entry.passwordHash) return null;
+
+    const destination = normalizeDestination(entry.originalURL);
+    const activatesAt = entry.activatesAt ? new Date(entry.activatesAt).toISOString() : null;
+    const domain = this.normalizeDomain(entry.domain);
+    // Different tags or campaigns keep their click counts apart
+    const tags = [...entry.tags].sort().join(',');
+
+    return this.urls
+      .filter(url => (
+        !url.passwordHash
+        && normalizeDestination(url.originalURL) === destination
+        && url.validityMinutes === entry.validityMinutes
+        && (url.maxClicks || null) === (entry.maxClicks || null)
+        && (url.activatesAt || null) === activatesAt
+        && (url.domain || null) === domain
+        && [...(url.tags || [])].sort().join(',') === tags
+        && (url.campaign || null) === entry.campaign
+        && this.getLinkStatus(url) === 'active'
+      ))
+      .sort((a, b) => new Date(b.expiresAt) - new Date(a.expiresAt))[0] || null;
+  }
+
+  // Pass `reuseExisting` in options to override the REUSE_EXISTING_LINKS
+  // setting. A reused link comes back with `reused: true`.
+  async createShortURL(originalURL, customShortCode = null, validityMinutes = 30, options = {}) {
+    await this.ready;
+    const { reuseExisting = shouldReuseExistingLinks(), ...entryOptions } = options;
+    logger.info('Creating short URL', {
+      originalURL,
+      customShortCode,
+      validityMinutes,
+      domain: options.domain,
+      maxClicks: options.maxClicks,
+      activatesAt: options.activatesAt,
+      tags: options.tags,
+      campaign: options.campaign,
+      passwordProtected: Boolean(options.password),
+      reuseExisting
+    });
+
+    const entry = await this.prepareEntry({ ...entryOptions, originalURL, customShortCode, validityMinutes });
+    let reused = null;
+    const urlData = await withWriteLock(async () => {
+      reused = reuseExisting ? this.findReusableURL(entry) : null;
+      return reused || this.insertURL(entry);
+    });
+
+    if (reused) {
+      logger.info('Reusing existing short URL', { shortCode: reused.shortCode, originalURL });
+      return { ...this.withShortURL(reused), reused: true };
+    }
+
+    this.notifyChange({ type: 'created', shortCode: urlData.shortCode });
+    logger.info('Short URL created successfully', { shortCode: urlData.shortCode, originalURL });
+    return this.withShortURL(urlData);
+  }
+
+  // Creates every entry or none of them
+  async createShortURLs(entries) {
+    await this.ready;
+    logger.info('Creating short URLs in bulk', { count: entries.length });
+
+    const invalidRows = this.validateBatch(entries).filter(row => row.errors.length > 0);
+    if (invalidRows.length > 0) {
+      const error = 'Bulk import contains invalid rows';
+      logger.error(error, { invalidCount: invalidRows.length });
+      throw new URLServiceError(error, ERROR_CODES.BATCH_INVALID, { rows: invalidRows });
+    }
+
+    const prepared = [];
+    for (const entry of entries) {
+      prepared.push(await this.prepareEntry(entry));
+    }
+
+    const created = await withWriteLock(async () => {
+      const inserted = [];
+      try {
+        for (const entry of prepared) {
+          inserted.push(await this.insertURL(entry));
+        }
+      } catch (error) {
+        // Roll back so a failed import never leaves half a batch behind
+        for (const urlData of inserted) {
+          await this.storage.deleteLink(urlData.shortCode);
+        }
+        this.urls = this.urls.filter(url => !inserted.includes(url));
+        logger.error('Bulk import rolled back', { insertedCount: inserted.length, error: error.message });
+        throw error;
+      }
+      return inserted;
+    });
+
+    created.forEach(urlData => this.notifyChange({ type: 'created', shortCode: urlData.shortCode }));
+    logger.info('Short URLs created in bulk', { count: created.length });
+    return created.map(urlData => this.withShortURL(urlData));
+  }
+
+  getImportSkipReason(link, seenCodes) {
+    if (!link || typeof link !== 'object' || typeof link.shortCode !== 'string' || !link.shortCode) {
+      return 'Missing shortcode';
+    }
+    const formatError = getShortCodeFormatError(link.shortCode);
+    if (formatError) {
+      return formatError;
+    }
+    if (seenCodes.has(shortCodeKey(link.shortCode))) {
+      return 'Duplicate shortcode in file';
+    }
+    if (getReservedReason(link.shortCode)) {
+      return `Shortcode ${getReservedReason(link.shortCode)}`;
+    }
+    if (typeof link.originalURL !== 'string' || !this.isValidURL(link.originalURL)) {
+      return 'Invalid destination URL';
+    }
+    const violation = this.getURLViolation(link.originalURL, link.shortCode);
+    if (violation) {
+      return violation.message;
+    }
+    if (!isDate(link.createdAt) || !isDate(link.expiresAt)) {
+      return 'Invalid created or expiry date';
+    }
+    if (['updatedAt', 'activatesAt', 'deactivatedAt'].some(field => link[field] != null && !isDate(link[field]))) {
+      return 'Invalid update, activation or deactivation date';
+    }
+    if (!isPositiveInteger(link.validityMinutes)) {
+      return 'Validity must be a whole number of minutes';
+    }
+    if (link.maxClicks != null && !isPositiveInteger(link.maxClicks)) {
+      return 'Click limit must be a whole number above zero';
+    }
+    if (link.domain != null && typeof link.domain !== 'string') {
+      return 'Invalid domain';
+    }
+    if (link.tags != null) {
+      if (!isTagList(link.tags)) {
+        return 'Tags must be a list of text values';
+      }
+      const tags = this.normalizeTags(link.tags);
+      if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return `Links can have up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`;
+      }
+    }
+    if (link.campaign != null && (typeof link.campaign !== 'string' || link.campaign.trim().length > MAX_CAMPAIGN_LENGTH)) {
+      return `Campaign must be text of at most ${MAX_CAMPAIGN_LENGTH} characters`;
+    }
+    if (link.passwordHash != null && !isValidPasswordHash(link.passwordHash)) {
+      return 'Unsupported or invalid password hash';
+    }
+    return null;
+  }
+
+  // Copies only the known fields of an imported link, in the stored shape
+  toImportedLink(link) {
+    const record = pickFields(link, IMPORTED_LINK_FIELDS);
+    return {
+      ...record,
+      id: typeof record.id === 'number' || typeof record.id === 'string' ? record.id : Date.now() + Math.random(),
+      shortCode: normalizeShortCode(record.shortCode),
+      domain: record.domain ?? null,
+      tags: this.normalizeTags(record.tags),
+      campaign: this.normalizeCampaign(record.campaign),
+      maxClicks: record.maxClicks ?? null,
+      passwordHash: record.passwordHash ?? null
+    };
+  }
+
+  // Clicks without a usable timestamp are dropped. Ids are kept unless they
+  // repeat one already in the file or the store, so nothing is overwritten.
+  toImportedClicks(clicks, shortCode, usedIds) {
+    return clicks
+      .filter(click => click && typeof click === 'object' && isDate(click.timestamp))
+      .map(click => {
+        const record = pickFields(click, IMPORTED_CLICK_FIELDS);
+        const hasId = typeof record.id === 'number' || typeof record.id === 'string';
+        const id = hasId && !usedIds.has(record.id) ? record.id : Date.now() + Math.random();
+        usedIds.add(id);
+        return {
+          ...(record.deviceType === undefined ? parseUserAgent(typeof record.userAgent === 'string' ? record.userAgent : '') : {}),
+          ...record,
+          id,
+          shortCode
+        };
+      });
+  }
+
+  // Restores links and click history from an export. `merge` keeps existing
+  // links and skips conflicting shortcodes; `replace` clears everything first.
+  // Every record is checked before the store is touched, and a failure while
+  // writing puts the store back the way it was.
+  async importURLs({ links = [], clicks = [] }, { mode = 'merge' } = {}) {
+    await this.ready;
+    logger.info('Importing URLs', { mode, linkCount: links.length, clickCount: clicks.length });
+
+    if (!['merge', 'replace'].includes(mode)) {
+      const error = 'Import mode must be "merge" or "replace"';
+      logger.error(error, { mode });
+      throw new URLServiceError(error, ERROR_CODES.BATCH_INVALID);
+    }
+    if (!Array.isArray(links) || !Array.isArray(clicks)) {
+      const error = 'Import must contain lists of links and clicks';
+      logger.error(error, { mode });
+      throw new URLServiceError(error, ERROR_CODES.BATCH_INVALID);
+    }
+
+    const clicksByCode = new Map();
+    clicks.forEach(click => {
+      if (!clicksByCode.has(click?.shortCode)) clicksByCode.set(click?.shortCode, []);
+      clicksByCode.get(click?.shortCode).push(click);
+    });
+
+    const report = await withWriteLock(async () => {
+      const previousLinks = mode === 'replace' ? await this.storage.getLinks() : [];
+      const previousClicks = mode === 'replace' ? await this.storage.getAllClicks() : [];
+      const previousURLs = this.urls;
+      const usedIds = new Set(mode === 'replace' ? [] : this.urls.flatMap(url => url.clicks.map(click => click.id)));
+
+      const planned = [];
+      const skipped = [];
+      const seenCodes = new Set();
+      for (const link of links) {
+        const reason = this.getImportSkipReason(link, seenCodes)
+          || (mode === 'merge' && !(await this.isShortCodeAvailable(normalizeShortCode(link.shortCode))) ? 'Shortcode already exists' : null);
+        if (reason) {
+          skipped.push({
+            shortCode: typeof link?.shortCode === 'string' ? link.shortCode : null,
+            originalURL: typeof link?.originalURL === 'string' ? link.originalURL : null,
+            reason
+          });
+          continue;
+        }
+        seenCodes.add(shortCodeKey(link.shortCode));
+
+        const urlData = this.toImportedLink(link);
+        const linkClicks = this.toImportedClicks(clicksByCode.get(link.shortCode) || [], urlData.shortCode, usedIds);
+        planned.push({ urlData, linkClicks });
+      }
+
+      const removed = [];
+      const imported = [];
+      try {
+        if (mode === 'replace') {
+          for (const link of previousLinks) {
+            await this.storage.deleteLink(link.shortCode);
+            removed.push(link.shortCode);
+          }
+          this.urls = [];
+        }
+
+        for (const { urlData, linkClicks } of planned) {
+          await this.saveURL(urlData);
+          if (linkClicks.length > 0) {
+            await this.storage.putClicks(linkClicks);
+          }
+          const hydrated = this.hydrateURL(urlData, linkClicks);
+          this.urls.push(hydrated);
+          imported.push(hydrated);
+        }
+      } catch (error) {
+        for (const urlData of imported) {
+          await this.storage.deleteLink(urlData.shortCode);
+        }
+        if (mode === 'replace') {
+          for (const link of previousLinks) {
+            await this.storage.putLink(link);
+          }
+          await this.storage.putClicks(previousClicks);
+        }
+        this.urls = previousURLs;
+        logger.error('Import rolled back', { mode, importedCount: imported.length, error: error.message });
+        throw error;
+      }
+
+      const importedClicks = imported.reduce((sum, url) => sum + url.clicks.length, 0);
+      const skippedClicks = clicks.length - importedClicks;
+      return { mode, imported, skipped, removed, importedClicks, skippedClicks };
+    });
+
+    report.removed
+      .filter(shortCode => !report.imported.some(url => url.shortCode === shortCode))
+      .forEach(shortCode => this.notifyChange({ type: 'deleted', shortCode }));
+    report.imported.forEach(urlData => this.notifyChange({ type: 'created', shortCode: urlData.shortCode }));
+
+    logger.info('URLs imported', {
+      mode,
+      importedCount: report.imported.length,
+      skippedCount: report.skipped.length,
+      removedCount: report.removed.length,
+      importedClicks: report.importedClicks,
+      skippedClicks: report.skippedClicks
+    });
+    return { ...report, imported: report.imported.map(url => this.withShortURL(url)) };
+  }
+
+  // Resolves through the shortcode policy, so in case-insensitive mode
+  // "PROMO" finds the link created as "promo"
+  findURL(shortCode) {
+    return this.urls.find(u => sameShortCode(u.shortCode, shortCode));
+  }
+
+  // The code a link is stored under, for a code as a visitor typed it
+  resolveShortCode(shortCode) {
+    return this.findURL(shortCode)?.shortCode || shortCode;
+  }
+
+  async getURLByShortCode(shortCode) {
+    await this.ready;
+    const url = this.findURL(shortCode);
     if (url) {
       logger.info('URL found by short code', { shortCode, originalURL: url.originalURL });
     } else {
       logger.warn('URL not found by short code', { shortCode });
     }
-    return url;
+    return this.withShortURL(url);
+  }
+
+  requireURL(shortCode) {
+    const urlData = this.findURL(shortCode);
+    if (!urlData) {
+      const error = 'URL not found';
+      logger.error(error, { shortCode });
+      throw new URLServiceError(error, ERROR_CODES.NOT_FOUND);
+    }
+    return urlData;
+  }
+
+  // Read-modify-write of a single link under the write lock. The mutator gets
+  // the latest stored copy (not a stale cache) and returns the new record.
+  async mutateURL(shortCode, mutator) {
+    await this.ready;
+    shortCode = this.resolveShortCode(shortCode);
+
+    const urlData = await withWriteLock(async () => {
+      const current = (await this.refreshURL(shortCode)) || this.requireURL(shortCode);
+      const updated = { ...mutator({ ...current }), updatedAt: new Date().toISOString() };
+      await this.saveURL(updated);
+      return Object.assign(current, updated);
+    });
+
+    this.notifyChange({ type: 'updated', shortCode });
+    return this.withShortURL(urlData);
+  }
+
+  async updateURL(shortCode, changes = {}) {
+    logger.info('Updating short URL', { shortCode, changes });
+    const urlData = await this.mutateURL(shortCode, current => this.applyChanges(current, changes));
+    logger.info('Short URL updated successfully', { shortCode });
+    return urlData;
+  }
+
+  async extendExpiry(shortCode, minutes) {
+    logger.info('Extending short URL expiry', { shortCode, minutes });
+    this.validateValidity(minutes);
+
+    const urlData = await this.mutateURL(shortCode, current => this.withExtendedExpiry(current, minutes));
+
+    logger.info('Short URL expiry extended', { shortCode, expiresAt: urlData.expiresAt });
+    return urlData;
+  }
+
+  withExtendedExpiry(urlData, minutes) {
+    // An already expired link is extended from now rather than from the past
+    const base = Math.max(Date.now(), new Date(urlData.expiresAt).getTime());
+    const expiresAt = new Date(base + minutes * 60 * 1000);
+    const startsAt = new Date(urlData.activatesAt || urlData.createdAt);
+    return {
+      ...urlData,
+      expiresAt: expiresAt.toISOString(),
+      validityMinutes: Math.round((expiresAt - startsAt) / (60 * 1000))
+    };
+  }
+
+  async deactivate(shortCode) {
+    const urlData = await this.mutateURL(shortCode, current => ({
+      ...current,
+      deactivatedAt: current.deactivatedAt || new Date().toISOString()
+    }));
+    logger.info('Short URL deactivated', { shortCode });
+    return urlData;
+  }
+
+  async reactivate(shortCode) {
+    const urlData = await this.mutateURL(shortCode, current => ({ ...current, deactivatedAt: null }));
+    logger.info('Short URL reactivated', { shortCode });
+    return urlData;
+  }
+
+  // Applies every change or, when one is invalid, throws before anything is
+  // saved. Besides the link fields, `extendByMinutes` extends the expiry and
+  // `active: false/true` deactivates or reactivates.
+  applyChanges(urlData, changes) {
+    let updated = { ...urlData };
+
+    if (changes.originalURL !== undefined) {
+      this.validateURL(changes.originalURL, urlData.shortCode);
+      updated.originalURL = changes.originalURL;
+    }
+
+    if (changes.domain !== undefined) {
+      this.validateDomain(changes.domain);
+      updated.domain = this.normalizeDomain(changes.domain);
+    }
+
+    if (changes.tags !== undefined) {
+      this.validateTagList(changes.tags);
+      const tags = this.normalizeTags(changes.tags);
+      this.validateTags(tags);
+      updated.tags = tags;
+    }
+
+    if (changes.campaign !== undefined) {
+      const campaign = this.normalizeCampaign(changes.campaign);
+      this.validateCampaign(campaign);
+      updated.campaign = campaign;
+    }
+
+    if (changes.maxClicks !== undefined) {
+      this.validateMaxClicks(changes.maxClicks);
+      updated.maxClicks = changes.maxClicks;
+    }
+
+    if (changes.activatesAt !== undefined) {
+      this.validateActivation(changes.activatesAt);
+      updated.activatesAt = changes.activatesAt ? new Date(changes.activatesAt).toISOString() : null;
+    }
+
+    if (changes.validityMinutes !== undefined) {
+      this.validateValidity(changes.validityMinutes);
+      updated.validityMinutes = changes.validityMinutes;
+    }
+
+    if (changes.activatesAt !== undefined || changes.validityMinutes !== undefined) {
+      updated.expiresAt = this.computeExpiry(updated.activatesAt || updated.createdAt, updated.validityMinutes);
+    }
+
+    if (changes.extendByMinutes !== undefined) {
+      this.validateValidity(changes.extendByMinutes);
+      updated = this.withExtendedExpiry(updated, changes.extendByMinutes);
+    }
+
+    if (changes.active !== undefined && typeof changes.active !== 'boolean') {
+      const error = 'Active must be true or false';
+      logger.error(error, { active: changes.active });
+      throw new URLServiceError(error, ERROR_CODES.INVALID_ACTIVE);
+    }
+    if (changes.active === false) {
+      updated.deactivatedAt = updated.deactivatedAt || new Date().toISOString();
+    } else if (changes.active === true) {
+      updated.deactivatedAt = null;
+    }
+
+    return updated;
+  }
+
+  async deleteURL(shortCode) {
+    await this.ready;
+    shortCode = this.resolveShortCode(shortCode);
+
+    await withWriteLock(async () => {
+      if (!(await this.refreshURL(shortCode))) this.requireURL(shortCode);
+      await this.storage.deleteLink(shortCode);
+      this.urls = this.urls.filter(url => url.shortCode !== shortCode);
+    });
+
+    this.notifyChange({ type: 'deleted', shortCode });
+    logger.info('Short URL deleted', { shortCode });
+  }
+
+  isPasswordProtected(urlData) {
+    return Boolean(urlData?.passwordHash);
+  }
+
+  isPasswordLocked(attempts) {
+    return Boolean(attempts?.lockedUntil) && new Date() < new Date(attempts.lockedUntil);
+  }
+
+  // Drops attempts whose lockout has ended or whose last failure is older than
+  // a lockout, so callers cycling through addresses can't grow the map forever
+  prunePasswordAttempts(now = Date.now()) {
+    const window = PASSWORD_LOCKOUT_MINUTES * 60 * 1000;
+    this.passwordAttempts.forEach((attempts, key) => {
+      const lockEnded = attempts.lockedUntil && new Date(attempts.lockedUntil).getTime() <= now;
+      if (lockEnded || (!attempts.lockedUntil && now - attempts.lastFailedAt > window)) {
+        this.passwordAttempts.delete(key);
+      }
+    });
+  }
+
+  // Checks a visitor's password for a protected link. Repeated failures lock
+  // that visitor out for a while to slow down guessing, without shutting
+  // anyone else out. `visitorKey` identifies the caller: the server passes
+  // the client IP, the browser its visitor id.
+  async verifyLinkPassword(shortCode, password, { visitorKey = getVisitorId() } = {}) {
+    await this.ready;
+    shortCode = this.resolveShortCode(shortCode);
+
+    return withWriteLock(async () => {
+      const urlData = (await this.refreshURL(shortCode)) || this.requireURL(shortCode);
+      if (!this.isPasswordProtected(urlData)) return true;
+
+      const key = `${shortCode}|${visitorKey ?? ''}`;
+      const attempts = this.passwordAttempts.get(key);
+      if (this.isPasswordLocked(attempts)) {
+        const error = 'Too many failed password attempts. Try again later.';
+        logger.warn(error, { shortCode, lockedUntil: attempts.lockedUntil });
+        throw new URLServiceError(error, ERROR_CODES.PASSWORD_LOCKED, { lockedUntil: attempts.lockedUntil });
+      }
+
+      if (await verifyPassword(password || '', urlData.passwordHash)) {
+        this.passwordAttempts.delete(key);
+        logger.info('Password accepted for short URL', { shortCode });
+        return true;
+      }
+
+      this.prunePasswordAttempts();
+      const failures = (this.passwordAttempts.get(key)?.failures || 0) + 1;
+      logger.warn('Incorrect password for short URL', { shortCode, failedAttempts: failures });
+
+      if (failures >= MAX_PASSWORD_ATTEMPTS) {
+        const lockedUntil = new Date(Date.now() + PASSWORD_LOCKOUT_MINUTES * 60 * 1000).toISOString();
+        this.passwordAttempts.set(key, { failures: 0, lockedUntil, lastFailedAt: Date.now() });
+        logger.error('Visitor locked out of short URL after repeated password failures', { shortCode, lockedUntil });
+      } else {
+        this.passwordAttempts.set(key, { failures, lockedUntil: null, lastFailedAt: Date.now() });
+      }
+      return false;
+    });
   }
 
   isURLExpired(urlData) {
@@ -131,72 +1051,227 @@ class URLService {
     return now > expiry;
   }
 
-  async getLocationData() {
+  isURLDeactivated(urlData) {
+    return Boolean(urlData.deactivatedAt);
+  }
+
+  isURLScheduled(urlData) {
+    return Boolean(urlData.activatesAt) && new Date() < new Date(urlData.activatesAt);
+  }
+
+  // Bot clicks count too: the bot check is a user agent match, so leaving
+  // them out would let anyone past a limit by changing their user agent
+  isClickLimitReached(urlData) {
+    return Boolean(urlData.maxClicks) && urlData.totalClicks >= urlData.maxClicks;
+  }
+
+  getRemainingClicks(urlData) {
+    if (!urlData.maxClicks) return null;
+    return Math.max(urlData.maxClicks - urlData.totalClicks, 0);
+  }
+
+  isURLExpiringSoon(urlData, now = new Date()) {
+    return this.getLinkStatus(urlData) === 'active'
+      && new Date(urlData.expiresAt) - now <= EXPIRING_SOON_MINUTES * 60 * 1000;
+  }
+
+  // Single place that decides whether a link can currently be followed
+  getLinkStatus(urlData) {
+    if (this.isURLDeactivated(urlData)) return 'inactive';
+    // Links saved before a policy change are re-checked on every visit
+    if (this.getURLViolation(urlData.originalURL, urlData.shortCode)) return 'blocked';
+    if (this.isURLScheduled(urlData)) return 'scheduled';
+    if (this.isURLExpired(urlData)) return 'expired';
+    if (this.isClickLimitReached(urlData)) return 'limitReached';
+    return 'active';
+  }
+
+  async getLocationData(context = {}) {
     try {
-      // Mock geographical data - in real app, you'd use a geolocation service
-      const mockLocations = [
-        'New York, US',
-        'London, UK',
-        'Tokyo, JP',
-        'Sydney, AU',
-        'Berlin, DE',
-        'Toronto, CA',
-        'Mumbai, IN',
-        'São Paulo, BR'
-      ];
-      
-      return mockLocations[Math.floor(Math.random() * mockLocations.length)];
+      return await this.geolocation.locate(context);
     } catch (error) {
-      logger.error('Failed to get location data', error);
-      return 'Unknown Location';
+      logger.error('Failed to get location data', { provider: this.geolocation.name, error: error.message });
+      return unknownLocation(this.geolocation.name);
     }
   }
 
-  async recordClick(shortCode, source = 'direct') {
+  async recordClick(shortCode, source = 'direct', context = {}) {
+    await this.ready;
+    shortCode = this.resolveShortCode(shortCode);
     logger.info('Recording click', { shortCode, source });
 
-    const urlData = this.getURLByShortCode(shortCode);
+    const urlData = this.findURL(shortCode);
     if (!urlData) {
       const error = 'URL not found';
       logger.error(error, { shortCode });
-      throw new Error(error);
+      throw new URLServiceError(error, ERROR_CODES.NOT_FOUND);
+    }
+
+    if (this.isURLDeactivated(urlData)) {
+      const error = 'URL has been deactivated';
+      logger.error(error, { shortCode, deactivatedAt: urlData.deactivatedAt });
+      throw new URLServiceError(error, ERROR_CODES.DEACTIVATED);
+    }
+
+    const violation = this.getURLViolation(urlData.originalURL, shortCode);
+    if (violation) {
+      logger.error(violation.message, { shortCode, originalURL: urlData.originalURL, code: violation.code });
+      throw new URLServiceError(violation.message, violation.code);
     }
 
     if (this.isURLExpired(urlData)) {
       const error = 'URL has expired';
       logger.error(error, { shortCode, expiresAt: urlData.expiresAt });
-      throw new Error(error);
+      throw new URLServiceError(error, ERROR_CODES.EXPIRED);
+    }
+
+    if (this.isClickLimitReached(urlData)) {
+      const error = 'URL has reached its click limit';
+      logger.error(error, { shortCode, maxClicks: urlData.maxClicks });
+      throw new URLServiceError(error, ERROR_CODES.CLICK_LIMIT_REACHED);
     }
 
-    const location = await this.getLocationData();
+    if (this.isURLScheduled(urlData)) {
+      const error = 'URL is not active yet';
+      logger.error(error, { shortCode, activatesAt: urlData.activatesAt });
+      throw new URLServiceError(error, ERROR_CODES.NOT_YET_ACTIVE, { activatesAt: urlData.activatesAt });
+    }
+
+    const location = await this.getLocationData(context);
+    const userAgent = context.userAgent ?? (typeof navigator !== 'undefined' ? navigator.userAgent : null);
+    const clientHints = context.clientHints !== undefined ? context.clientHints : await getClientHints();
     const clickData = {
       id: Date.now() + Math.random(),
+      shortCode,
       timestamp: new Date().toISOString(),
       source,
       location,
-      userAgent: navigator.userAgent
+      referrer: context.referrer ?? null,
+      referrerHost: context.referrerHost ?? null,
+      utm: context.utm ?? null,
+      ref: context.ref ?? null,
+      userAgent,
+      visitorId: context.visitorId !== undefined ? context.visitorId : getVisitorId(),
+      ...parseUserAgent(userAgent, clientHints)
     };
 
-    urlData.clicks.push(clickData);
-    urlData.totalClicks = urlData.clicks.length;
-    this.saveURLs();
+    let recorded = false;
+    const updatedURL = await withWriteLock(async () => {
+      // Count clicks from every tab before enforcing the click limit or
+      // looking for a repeat visit
+      const current = urlData.maxClicks || clickData.visitorId
+        ? (await this.refreshURL(shortCode)) || this.requireURL(shortCode)
+        : urlData;
 
-    logger.info('Click recorded successfully', { shortCode, totalClicks: urlData.totalClicks });
-    return urlData;
+      const repeat = this.findRepeatClick(current, clickData);
+      if (repeat) {
+        logger.info('Repeat click ignored', { shortCode, previousClickAt: repeat.timestamp });
+        return current;
+      }
+
+      if (this.isClickLimitReached(current)) {
+        const error = 'URL has reached its click limit';
+        logger.error(error, { shortCode, maxClicks: current.maxClicks });
+        throw new URLServiceError(error, ERROR_CODES.CLICK_LIMIT_REACHED);
+      }
+
+      await this.storage.addClick(clickData);
+      current.clicks.push(clickData);
+      current.totalClicks = current.clicks.length;
+      recorded = true;
+      return current;
+    });
+
+    if (recorded) {
+      this.notifyChange({ type: 'click', shortCode });
+      logger.info('Click recorded successfully', {
+        shortCode,
+        isBot: clickData.isBot,
+        totalClicks: updatedURL.totalClicks,
+        remainingClicks: this.getRemainingClicks(updatedURL)
+      });
+    }
+    return this.withShortURL(updatedURL);
+  }
+
+  // A click from the same visitor inside the dedupe window is a refresh or a
+  // double tap, not a new visit.
+  findRepeatClick(urlData, clickData) {
+    const windowMinutes = getClickDedupeMinutes();
+    if (!clickData.visitorId || windowMinutes === 0) return null;
+
+    const since = new Date(clickData.timestamp).getTime() - windowMinutes * 60 * 1000;
+    return urlData.clicks.find(click => (
+      click.visitorId === clickData.visitorId && new Date(click.timestamp).getTime() >= since
+    )) || null;
+  }
+
+  matchesQuery(urlData, { search, status, createdFrom, createdTo, tags = [], campaign }) {
+    if (search) {
+      const term = search.trim().toLowerCase();
+      const fields = [urlData.shortCode, urlData.originalURL, urlData.campaign || '', ...(urlData.tags || [])];
+      if (!fields.some(field => field.toLowerCase().includes(term))) {
+        return false;
+      }
+    }
+
+    const linkTags = urlData.tags || [];
+    if (!this.normalizeTags(tags).every(tag => linkTags.includes(tag))) return false;
+    if (campaign && (urlData.campaign || '').toLowerCase() !== campaign.trim().toLowerCase()) return false;
+
+    if (status === 'active' && this.getLinkStatus(urlData) !== 'active') return false;
+    if (status === 'expiringSoon' && !this.isURLExpiringSoon(urlData)) return false;
+    if (status === 'expired' && this.getLinkStatus(urlData) !== 'expired') return false;
+
+    const createdAt = new Date(urlData.createdAt);
+    if (createdFrom && createdAt < new Date(createdFrom)) return false;
+    if (createdTo && createdAt > new Date(createdTo)) return false;
+    return true;
+  }
+
+  // Query options: `search` (code, destination, tag or campaign), `status`
+  // (active, expiringSoon, expired), `tags` (links must have all of them),
+  // `campaign`, `createdFrom`/`createdTo`, `sort` (createdAt, expiresAt,
+  // clicks) and `order` (asc, desc). Newest first by default.
+  async getAllURLs(query = {}) {
+    await this.ready;
+    const getSortKey = SORT_KEYS[query.sort] || SORT_KEYS.createdAt;
+    const direction = query.order === 'asc' ? 1 : -1;
+
+    const urls = this.urls
+      .filter(url => this.matchesQuery(url, query))
+      .sort((a, b) => (getSortKey(a) - getSortKey(b)) * direction);
+    logger.info('Retrieving all URLs', { count: urls.length, query });
+    return urls.map(url => this.withShortURL(url));
   }
 
-  getAllURLs() {
-    logger.info('Retrieving all URLs', { count: this.urls.length });
-    return this.urls.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  // Tags in use, most used first, for autocomplete and filters
+  async getAllTags() {
+    await this.ready;
+    const counts = new Map();
+    this.urls.forEach(url => (url.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
   }
 
-  deleteExpiredURLs() {
-    const initialCount = this.urls.length;
-    this.urls = this.urls.filter(url => !this.isURLExpired(url));
-    const deletedCount = initialCount - this.urls.length;
+  async getAllCampaigns() {
+    await this.ready;
+    const campaigns = new Set(this.urls.map(url => url.campaign).filter(Boolean));
+    return Array.from(campaigns).sort((a, b) => a.localeCompare(b));
+  }
+
+  async deleteExpiredURLs() {
+    await this.ready;
+    const expired = this.urls.filter(url => this.isURLExpired(url));
+    await withWriteLock(async () => {
+      for (const url of expired) {
+        await this.storage.deleteLink(url.shortCode);
+      }
+    });
+    this.urls = this.urls.filter(url => !expired.includes(url));
+    const deletedCount = expired.length;
     
     if (deletedCount > 0) {
-      this.saveURLs();
+      expired.forEach(url => this.notifyChange({ type: 'deleted', shortCode: url.shortCode }));
       logger.info('Expired URLs cleaned up', { deletedCount });
     }
     
@@ -204,4 +1279,6 @@ class URLService {
   }
 }
 
+export { URLService };
+
 export default new URLService();
@@ -0,0 +1,163 @@
+const BOT_PATTERN = /bot\b|bot\/|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|bingpreview|whatsapp|telegram|discord|headless|lighthouse|pingdom|uptime|monitor|curl\/|wget\/|python-requests|python-urllib|go-http-client|java\/|okhttp|axios\/|node-fetch|libwww|httpclient|scrapy/i;
+
+// Checked in order: Edge, Opera and Samsung Internet all claim to be Chrome,
+// and Chrome claims to be Safari.
+const BROWSER_RULES = [
+  { name: 'Edge', pattern: /(?:Edg|EdgA|EdgiOS|Edge)\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+  { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ }
+];
+
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7',
+  '6.0': 'Vista',
+  '5.1': 'XP'
+};
+
+const OS_RULES = [
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/, version: raw => WINDOWS_VERSIONS[raw] || raw },
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*?OS ([\d_]+)/, version: raw => raw.replace(/_/g, '.') },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'ChromeOS', pattern: /CrOS [\w_]+ ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/, version: raw => raw.replace(/_/g, '.') },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const CLIENT_HINT_BRANDS = {
+  'Google Chrome': 'Chrome',
+  'Microsoft Edge': 'Edge',
+  Opera: 'Opera',
+  'Samsung Internet': 'Samsung Internet',
+  Chromium: 'Chromium'
+};
+
+const CLIENT_HINT_PLATFORMS = {
+  Windows: 'Windows',
+  macOS: 'macOS',
+  Android: 'Android',
+  'Chrome OS': 'ChromeOS',
+  'Chromium OS': 'ChromeOS',
+  Linux: 'Linux',
+  iOS: 'iOS'
+};
+
+const botName = (userAgent) => {
+  const match = /([\w-]*(?:bot|crawler|spider|slurp)[\w-]*)/i.exec(userAgent)
+    || /^(curl|wget|python-requests|go-http-client|okhttp|axios|node-fetch)/i.exec(userAgent);
+  return match ? match[1] : userAgent.split(/[/\s;]/)[0] || 'Bot';
+};
+
+const matchRule = (rules, userAgent) => {
+  for (const rule of rules) {
+    const match = rule.pattern.exec(userAgent);
+    if (match) {
+      const raw = match[1] || null;
+      return { name: rule.name, version: raw && rule.version ? rule.version(raw) : raw };
+    }
+  }
+  return { name: null, version: null };
+};
+
+const majorVersion = (version) => (version ? version.split('.')[0] : null);
+
+const deviceTypeFromUA = (userAgent) => {
+  if (/iPad|Tablet|PlayBook|Silk|Kindle|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Windows Phone|BlackBerry|Opera Mini/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+const fromClientHints = (hints) => {
+  const brands = hints.fullVersionList?.length ? hints.fullVersionList : hints.brands || [];
+  const brand = brands.find(entry => CLIENT_HINT_BRANDS[entry.brand] && entry.brand !== 'Chromium')
+    || brands.find(entry => entry.brand === 'Chromium');
+
+  let osVersion = hints.platformVersion || null;
+  // Windows 11 reports itself as NT 10.0; only the platform version tells them apart
+  if (hints.platform === 'Windows' && osVersion) {
+    osVersion = Number(majorVersion(osVersion)) >= 13 ? '11' : '10';
+  }
+
+  return {
+    browser: brand ? CLIENT_HINT_BRANDS[brand.brand] : null,
+    browserVersion: brand ? brand.version : null,
+    os: CLIENT_HINT_PLATFORMS[hints.platform] || hints.platform || null,
+    osVersion,
+    mobile: Boolean(hints.mobile)
+  };
+};
+
+// Turns a User-Agent string (and Client Hints, when the browser sent them)
+// into the fields stored on each click. Hints win where they are present
+// because Chromium freezes most of the UA string.
+export function parseUserAgent(userAgent, clientHints = null) {
+  const ua = userAgent || '';
+  const isBot = BOT_PATTERN.test(ua);
+
+  const browser = matchRule(BROWSER_RULES, ua);
+  const os = matchRule(OS_RULES, ua);
+  const deviceType = isBot ? 'bot' : deviceTypeFromUA(ua);
+
+  const parsed = {
+    browser: isBot ? botName(ua) : browser.name,
+    browserVersion: isBot ? null : browser.version,
+    os: os.name,
+    osVersion: os.version,
+    deviceType,
+    isBot
+  };
+
+  if (!isBot && clientHints) {
+    const hinted = fromClientHints(clientHints);
+    parsed.browser = hinted.browser || parsed.browser;
+    parsed.browserVersion = hinted.browser ? hinted.browserVersion : parsed.browserVersion;
+    parsed.os = hinted.os || parsed.os;
+    parsed.osVersion = hinted.osVersion || parsed.osVersion;
+    if (hinted.mobile && deviceType === 'desktop') {
+      parsed.deviceType = 'mobile';
+    }
+  }
+
+  return parsed;
+}
+
+// Reads User-Agent Client Hints in the browser. High-entropy values need a
+// promise and may be refused, in which case the low-entropy ones still help.
+export async function getClientHints() {
+  const data = typeof navigator !== 'undefined' ? navigator.userAgentData : null;
+  if (!data) return null;
+
+  const hints = { brands: data.brands, mobile: data.mobile, platform: data.platform };
+  try {
+    return { ...hints, ...(await data.getHighEntropyValues(['platformVersion', 'fullVersionList', 'model'])) };
+  } catch {
+    return hints;
+  }
+}
+
+const unquote = (value) => value.trim().replace(/^"|"$/g, '');
+
+// Parses the Sec-CH-UA request headers a server receives into the same shape.
+export function clientHintsFromHeaders(headers) {
+  const brandsHeader = headers['sec-ch-ua'];
+  if (!brandsHeader) return null;
+
+  const parseBrands = (value) => value.split(',').map(entry => {
+    const [brand, version = ''] = entry.split(';v=');
+    return { brand: unquote(brand), version: unquote(version) };
+  });
+
+  return {
+    brands: parseBrands(brandsHeader),
+    fullVersionList: headers['sec-ch-ua-full-version-list'] ? parseBrands(headers['sec-ch-ua-full-version-list']) : undefined,
+    mobile: headers['sec-ch-ua-mobile'] === '?1',
+    platform: headers['sec-ch-ua-platform'] ? unquote(headers['sec-ch-ua-platform']) : null,
+    platformVersion: headers['sec-ch-ua-platform-version'] ? unquote(headers['sec-ch-ua-platform-version']) : null
+  };
+}
@@ -0,0 +1,31 @@
+const STORAGE_KEY = 'linkshort:visitor';
+const ROTATE_AFTER_HOURS = 24;
+
+const randomId = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Anonymous per-browser id used only to recognise repeat clicks. It carries
+// nothing about the visitor and is replaced every day, so it cannot follow
+// anyone for long. Returns null where localStorage is unavailable.
+export function getVisitorId(now = new Date()) {
+  try {
+    const storage = globalThis.localStorage;
+    if (!storage) return null;
+
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    if (stored && new Date(stored.rotatesAt) > now) {
+      return stored.id;
+    }
+
+    const visitor = {
+      id: randomId(),
+      rotatesAt: new Date(now.getTime() + ROTATE_AFTER_HOURS * 60 * 60 * 1000).toISOString()
+    };
+    storage.setItem(STORAGE_KEY, JSON.stringify(visitor));
+    return visitor.id;
+  } catch {
+    return null;
+  }
+}